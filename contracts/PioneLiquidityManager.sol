@@ -1,116 +1,52 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
-import { IPancakeFactory } from "./interfaces/IPancakeFactory.sol";
+import { PioneLiquidityManagerAdmin } from "./PioneLiquidityManagerAdmin.sol";
+import { PioneLiquidityManagerBase } from "./PioneLiquidityManagerBase.sol";
 import { IPancakeRouter02 } from "./interfaces/IPancakeRouter02.sol";
-import { IPancakePair } from "./interfaces/IPancakePair.sol";
-import { IPioneChainBridge } from "./interfaces/IPioneChainBridge.sol";
-import { IPinkLock } from "./interfaces/IPinkLock.sol";
+import { IPioneLiquidityManager } from "./interfaces/IPioneLiquidityManager.sol";
+import { ISignatureTransfer } from "./interfaces/ISignatureTransfer.sol";
+import { ClaimQueueLib } from "./libraries/ClaimQueueLib.sol";
+import { LiquidityLib } from "./libraries/LiquidityLib.sol";
+import { LPLockLib } from "./libraries/LPLockLib.sol";
+import { RequestLib } from "./libraries/RequestLib.sol";
 import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import { ERC20 } from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import { AccessControl } from "@openzeppelin/contracts/access/AccessControl.sol";
-import { ReentrancyGuard } from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import { Pausable } from "@openzeppelin/contracts/utils/Pausable.sol";
+import { IERC20Permit } from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 
-contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
-    
+// Request types and events are declared in IPioneLiquidityManager, state in PioneLiquidityManagerBase.
+// Deployed behind a TransparentUpgradeableProxy: storage is only ever appended, see storage-layout/.
+contract PioneLiquidityManager is IPioneLiquidityManager, PioneLiquidityManagerBase {
     using SafeERC20 for IERC20;
-    IPancakeRouter02 public router;
-
-    bytes32 public constant MANAGER_ROLE = keccak256("MANAGER_ROLE");
-    address public immutable PIONE_TOKEN;
-    address public immutable USDT_TOKEN;
-    address public immutable LP_PAIR;
-    address public immutable POOL_LOCK;
-    uint256 public immutable PIONECHAIN_ID;
-    address public pioneBridge;
-
-    struct Transaction {
-        uint256 pioAmount;
-        uint256 usdtAmount;
-        uint256 liquidityAmount;
-        bool depositUSDT;
-        uint256 pinkLockId;
-        uint256 lockMonths;
-    }
-    
-    struct UserInfo {
-        uint256 pioBalance;          
-        uint256 usdtBalance;            
-        uint256 totalLiquidity;    
-        Transaction[] transactions;
-        mapping(bytes32 requestId => uint256) _positions;
-    }
-
-    uint256 private _minClaimPIOAmount;
-    mapping(address => UserInfo) private _userData;
-    mapping(bytes32 => address) private _usedRequestIds;
-
-    event UserDepositUSDT(bytes32 indexed requestId, address indexed user, uint256 amount);
-    event LiquidityRequestCreated(bytes32 indexed requestId, address indexed user, uint256 amountPIO, uint256 amountUSDT, uint256 lockMonths);
-    event ClaimedPIOtoPioneChain(bytes32 indexed requestId, address indexed user, uint256 amount);
-    event ClaimedUSDT(address indexed account, uint256 amount);
-
-    event LiquidityAdded(
-        address indexed user,
-        bytes32 indexed requestId,
-        uint256 pioAmount,
-        uint256 usdtAmount,
-        uint256 liquidity,
-        uint256 slippage
-    );
-    event LiquidityLocked(
-        address indexed user,
-        bytes32 indexed requestId,
-        uint256 lockId,
-        uint256 liquidity,
-        uint256 unlockDate
-    );
-    event UpdatedMinClaimPIOAmount(uint256 oldAmount, uint256 newAmount);
-    event PioneBridgeUpdated(address indexed oldAddress, address indexed newAddress);
-    
-    modifier onlyOwner() {
-        require(hasRole(DEFAULT_ADMIN_ROLE, msg.sender), "Not owner");
-        _;
-    }
 
-    modifier onlyManager() {
-        require(hasRole(MANAGER_ROLE, msg.sender), "Not manager");
-        _;
-    }
+    // Bridge intake and most role-gated functions run there, see _delegateToAdmin
+    address public immutable ADMIN_MODULE;
 
     modifier canDeposit(bytes32 _requestId) {
-        require(_usedRequestIds[_requestId] != address(0), "RequestId does not exist");
-        require(_usedRequestIds[_requestId] == msg.sender, "Not the owner of this request");
-        UserInfo storage user = _userData[msg.sender];
-        uint256 position = user._positions[_requestId];
-        require(position < user.transactions.length, "Invalid transaction");
-        require(user.transactions[position].usdtAmount > 0, "Invalid transaction");
-        require(!user.transactions[position].depositUSDT, "Already deposited USDT");
+        _checkCanDeposit(_requestId);
         _;
     }
 
     modifier canExecuted(bytes32 _requestId, address account) {
-        require(_usedRequestIds[_requestId] != address(0), "RequestId does not exist");
-        require(_usedRequestIds[_requestId] == account, "Not the owner of this request");
-        UserInfo storage user = _userData[account];
-        uint256 position = user._positions[_requestId];
-        require(position < user.transactions.length, "Invalid transaction");
-        require(user.transactions[position].usdtAmount > 0, "Invalid transaction");
-        require(user.transactions[position].liquidityAmount == 0, "Additional liquidity request made");
-        require(user.transactions[position].depositUSDT, "USDT not provided yet");
+        RequestLib.requireExecutable(_userData[account], _usedRequestIds[_requestId], account, _requestId);
         _;
     }
 
-    constructor(
+    // The implementation is only used through the proxy, each implementation brings its own admin module
+    constructor() {
+        _disableInitializers();
+        ADMIN_MODULE = address(new PioneLiquidityManagerAdmin());
+    }
+
+    // Set up the proxy storage, called once by the proxy on deployment
+    function initialize(
         address _pioneToken,
         address _usdtToken,
         address _pioneBridge,
         address _router,
         address _pinklock,
         uint256 _targetChain
-    ) {
+    ) external initializer {
         require(
             _pioneToken != address(0) && _usdtToken != address(0) &&
             _router != address(0) && _pinklock != address(0),
@@ -120,136 +56,518 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
         USDT_TOKEN = _usdtToken;
         POOL_LOCK = _pinklock;
         router = IPancakeRouter02(_router);
-        LP_PAIR = IPancakeFactory(router.factory()).getPair(PIONE_TOKEN, USDT_TOKEN);
+        LP_PAIR = _getPair(_router, _usdtToken);
         require(LP_PAIR != address(0), "LP pair does not exist");
         _approveRouter(_router, type(uint256).max);
 
-        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
-        _grantRole(MANAGER_ROLE, msg.sender);
+        // The deployer hands the timelock role over to the TimelockController, the owner cannot take it back
+        _setRoleAdmin(TIMELOCK_ROLE, TIMELOCK_ROLE);
+        bytes32[3] memory roles = [DEFAULT_ADMIN_ROLE, MANAGER_ROLE, TIMELOCK_ROLE];
+        for (uint256 i = 0; i < roles.length; i++) {
+            _grantRole(roles[i], msg.sender);
+        }
         PIONECHAIN_ID = _targetChain;
         pioneBridge = _pioneBridge;
         _minClaimPIOAmount = 1 * 10**18; // default 1 PIO
+        minLockDuration = 30 days;
+        maxLockDuration = 120 * 30 days; // default 1 to 120 months
+        maxSlippageBps = 9000; // default 90%
+    }
+
+    // Implemented in PioneLiquidityManagerAdmin, which applies the access checks
+    function handleBridgeCompleted(bytes32, address, uint256, uint256, uint256) external {
+        _delegateToAdmin();
+    }
+
+    function handleBridgeCompletedWithUnlockDate(bytes32, address, uint256, uint256, uint256) external {
+        _delegateToAdmin();
+    }
+
+    function handleBridgeCompletedForPair(bytes32, address, uint256, address, uint256, uint256) external {
+        _delegateToAdmin();
+    }
+
+    function handleBridgeCompletedBatch(
+        bytes32[] calldata,
+        address[] calldata,
+        uint256[] calldata,
+        uint256[] calldata,
+        uint256[] calldata,
+        bool
+    ) external returns (uint256) {
+        _delegateToAdmin();
+    }
+
+    function handleBridgeCompletedBatchForPair(
+        bytes32[] calldata,
+        address[] calldata,
+        uint256[] calldata,
+        address[] calldata,
+        uint256[] calldata,
+        uint256[] calldata,
+        bool
+    ) external returns (uint256) {
+        _delegateToAdmin();
+    }
+
+    function setRequestExpiry(bytes32, uint256) external {
+        _delegateToAdmin();
+    }
+
+    function setRequestVesting(bytes32, VestingSchedule calldata) external {
+        _delegateToAdmin();
+    }
+
+    function setMinClaimPIOAmount(uint256) external {
+        _delegateToAdmin();
+    }
+
+    function setPioneBridge(address) external {
+        _delegateToAdmin();
+    }
+
+    function setPermit2(address) external {
+        _delegateToAdmin();
+    }
+
+    function setRouter(address) external {
+        _delegateToAdmin();
+    }
+
+    function addQuoteToken(address) external {
+        _delegateToAdmin();
+    }
+
+    function setLpLocker(address) external {
+        _delegateToAdmin();
+    }
+
+    function setLockDurationLimits(uint256, uint256) external {
+        _delegateToAdmin();
+    }
+
+    function setMaxSlippageBps(uint256) external {
+        _delegateToAdmin();
+    }
+
+    function setPriceGuard(PriceGuard calldata) external {
+        _delegateToAdmin();
+    }
+
+    function setProtocolFee(uint256, address) external {
+        _delegateToAdmin();
+    }
+
+    function setBridgeLimits(uint256, uint256) external {
+        _delegateToAdmin();
+    }
+
+    function setDepositTokenAllowed(address, bool) external {
+        _delegateToAdmin();
+    }
+
+    function rescueTokens(address, address, uint256) external {
+        _delegateToAdmin();
+    }
+
+    // Run the called function in the admin module on the proxy storage, returning or reverting with its result
+    function _delegateToAdmin() private {
+        address module = ADMIN_MODULE;
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let success := delegatecall(gas(), module, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            if iszero(success) { revert(ptr, returndatasize()) }
+            return(ptr, returndatasize())
+        }
     }
     
-    // Handle completed bridge transaction and create liquidity request
-    function handleBridgeCompleted(
+    // Deposit USDT for a liquidity request
+    function depositUSDT(bytes32 requestId)
+        external
+        nonReentrant
+        whenNotPaused
+        canDeposit(requestId)
+        returns (bool)
+    {
+        _pullUSDT(msg.sender, requestId);
+        return true;
+    }
+
+    // Deposit USDT for a liquidity request with an EIP-2612 permit instead of a prior approve
+    function depositUSDTWithPermit(bytes32 requestId, uint256 deadline, uint8 v, bytes32 r, bytes32 s)
+        external
+        nonReentrant
+        whenNotPaused
+        canDeposit(requestId)
+        returns (bool)
+    {
+        uint256 usdtAmount = _requestUsdtAmount(msg.sender, requestId);
+        // A permit front-run by someone else has already set the allowance, so its failure is not fatal
+        try IERC20Permit(_quoteTokenOf(requestId)).permit(msg.sender, address(this), usdtAmount, deadline, v, r, s) {} catch {}
+        _pullUSDT(msg.sender, requestId);
+        return true;
+    }
+
+    // Deposit USDT for a liquidity request with a Permit2 signature transfer, for tokens without EIP-2612
+    function depositUSDTWithPermit2(
         bytes32 requestId,
-        address account,
-        uint256 amountPIO,
-        uint256 amountUSDT,
-        uint256 lockMonths
+        ISignatureTransfer.PermitTransferFrom calldata permit,
+        bytes calldata signature
     )
         external
-        onlyManager
+        nonReentrant
         whenNotPaused
+        canDeposit(requestId)
+        returns (bool)
     {
-        require(IPioneChainBridge(pioneBridge).processedTransactions(requestId), "Transaction not completed");
-        require(_usedRequestIds[requestId] == address(0), "RequestId already set");
-        require(lockMonths > 0, "Lock months must be greater than 0");
-
-        UserInfo storage userInfo = _userData[account];
-        Transaction memory newTransaction = Transaction({
-            pioAmount: amountPIO,
-            usdtAmount: amountUSDT,
-            liquidityAmount: 0,
-            depositUSDT: false,
-            pinkLockId: 0,
-            lockMonths: lockMonths
-        });
-        _usedRequestIds[requestId] = account;
-
-        uint256 index = userInfo.transactions.length;
-        userInfo._positions[requestId] = index;
-        userInfo.transactions.push(newTransaction);
-        userInfo.pioBalance += amountPIO;
-
-        emit LiquidityRequestCreated(requestId, account, amountPIO, amountUSDT, lockMonths);
+        require(permit2 != address(0), "Permit2 not set");
+        require(permit.permitted.token == _quoteTokenOf(requestId), "Invalid permit token");
+        uint256 usdtAmount = _requestUsdtAmount(msg.sender, requestId);
+        ISignatureTransfer(permit2).permitTransferFrom(
+            permit,
+            ISignatureTransfer.SignatureTransferDetails(address(this), usdtAmount),
+            msg.sender,
+            signature
+        );
+        _fundRequest(msg.sender, requestId, usdtAmount);
+        return true;
     }
-    
-    // Deposit USDT for a liquidity request
-    function depositUSDT(bytes32 requestId)
+
+    // Fund a request with an allow-listed token, or BNB as address(0), swapped to its quote token through the router
+    function depositWithToken(bytes32 requestId, address tokenIn, uint256 amountIn, uint256 minUsdtOut, uint256 deadline)
         external
+        payable
         nonReentrant
         whenNotPaused
         canDeposit(requestId)
         returns (bool)
     {
-        UserInfo storage user = _userData[msg.sender];
-        uint256 position = user._positions[requestId];
-        uint256 usdtAmount = user.transactions[position].usdtAmount;
+        require(allowedDepositTokens[tokenIn], "Token not allowed");
+        require(amountIn > 0, "invalid amount");
+        require(msg.value == (tokenIn == address(0) ? amountIn : 0), "Invalid BNB amount");
+        RequestLib.UserInfo storage user = _userData[msg.sender];
+        Transaction storage txn = user.transactions[user._positions[requestId]];
+
+        if (tokenIn != address(0)) {
+            IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+            IERC20(tokenIn).forceApprove(address(router), amountIn);
+        }
+        address quoteToken = _quoteTokenOf(requestId);
+        uint256 usdtReceived = LiquidityLib.swap(router, tokenIn, quoteToken, amountIn, minUsdtOut, deadline);
+        require(usdtReceived >= txn.usdtAmount, "Insufficient USDT received");
+
+        // The excess over the request amount stays claimable in the quote balance
+        _creditQuote(user, quoteToken, usdtReceived);
+        emit DepositSwapped(requestId, msg.sender, tokenIn, amountIn, usdtReceived);
+        _markFunded(txn, requestId, msg.sender, txn.usdtAmount);
+        return true;
+    }
+    
+    // Add liquidity to PancakeSwap and lock LP tokens, with whole-percent slippage and a 5 minute deadline
+    function addLiquidity(bytes32 requestId, uint256 slippagePercent) external returns (bool) {
+        require(slippagePercent <= 90, "Slippage too high");
+        return addLiquidity(requestId, slippagePercent * 100, block.timestamp + 300, 0, 0);
+    }
 
-        IERC20(USDT_TOKEN).safeTransferFrom(msg.sender, address(this), usdtAmount);
-        user.transactions[position].depositUSDT = true;
-        user.usdtBalance += usdtAmount;
+    // Add liquidity to PancakeSwap and lock LP tokens, with slippage in basis points and a caller deadline.
+    // Non-zero amountPioMin / amountUsdtMin raise the minimums derived from the slippage.
+    function addLiquidity(
+        bytes32 requestId,
+        uint256 slippageBps,
+        uint256 deadline,
+        uint256 amountPioMin,
+        uint256 amountUsdtMin
+    )
+        public
+        whenNotPaused
+        nonReentrant
+        returns (bool)
+    {
+        _addLiquidity(msg.sender, requestId, slippageBps, deadline, amountPioMin, amountUsdtMin);
+        return true;
+    }
 
-        emit UserDepositUSDT(requestId, msg.sender, usdtAmount);
+    // Deposit USDT, add liquidity and lock the LP tokens in one call, optionally sending the unused USDT back to the wallet
+    function depositAndAddLiquidity(
+        bytes32 requestId,
+        uint256 slippageBps,
+        uint256 deadline,
+        uint256 amountPioMin,
+        uint256 amountUsdtMin,
+        bool refundToWallet
+    )
+        external
+        whenNotPaused
+        nonReentrant
+        canDeposit(requestId)
+        returns (bool)
+    {
+        RequestLib.UserInfo storage user = _userData[msg.sender];
+        address quoteToken = _quoteTokenOf(requestId);
+        uint256 quoteBalance = _quoteBalance(user, quoteToken);
+        _pullUSDT(msg.sender, requestId);
+        _addLiquidity(msg.sender, requestId, slippageBps, deadline, amountPioMin, amountUsdtMin);
+
+        // Only the refund of this request is sent, USDT left over from earlier requests stays claimable
+        uint256 refund = _quoteBalance(user, quoteToken) - quoteBalance;
+        if (refundToWallet && refund > 0) {
+            _claimQuote(msg.sender, msg.sender, quoteToken, refund);
+        }
         return true;
     }
-    
-    // Add liquidity to PancakeSwap and lock LP tokens
-    function addLiquidity(bytes32 requestId, uint256 slippagePercent) 
-        external 
-        whenNotPaused 
+
+    // Deposit the USDT if still needed and add liquidity for a user who signed a LiquidityIntent, gas paid by a relayer
+    function executeLiquidityIntent(LiquidityIntent calldata intent, bytes calldata signature)
+        external
+        onlyManager
+        whenNotPaused
         nonReentrant
-        canExecuted(requestId, msg.sender) 
-        returns (bool) 
+        returns (bool)
     {
-        require(slippagePercent <= 90, "Slippage too high");
+        RequestLib.useIntent(intentNonces, intent, signature);
+        address account = intent.account;
+        bytes32 requestId = intent.requestId;
+
+        (, Transaction storage txn) = _getTransaction(requestId);
+        if (txn.status == RequestStatus.Created) {
+            RequestLib.requireFundable(_userData[account], _usedRequestIds[requestId], account, requestId);
+            _pullUSDT(account, requestId);
+        }
+        _addLiquidity(account, requestId, intent.maxSlippageBps, intent.deadline, 0, 0);
+
+        emit LiquidityIntentExecuted(requestId, account, msg.sender, intent.nonce);
+        return true;
+    }
 
-        UserInfo storage user = _userData[msg.sender];
+    // Add liquidity for a funded request of `account` and lock the LP tokens
+    function _addLiquidity(
+        address account,
+        bytes32 requestId,
+        uint256 slippageBps,
+        uint256 deadline,
+        uint256 amountPioMin,
+        uint256 amountUsdtMin
+    ) private canExecuted(requestId, account) {
+        address quoteToken = _quoteTokenOf(requestId);
+        _checkPriceGuard(quoteToken);
+        RequestLib.UserInfo storage user = _userData[account];
         uint256 position = user._positions[requestId];
-        (uint256 pioAmount, uint256 usdtAmount) = _validateAndGetAmounts(user, position);
+        (uint256 pioAmount, uint256 usdtAmount) = _validateAndGetAmounts(user, position, quoteToken);
         uint256 liquidity = _executeAddLiquidity(
             user,
             position,
             pioAmount,
             usdtAmount,
-            slippagePercent,
+            slippageBps,
+            deadline,
+            amountPioMin,
+            amountUsdtMin,
+            account,
+            requestId
+        );
+
+        _lockRequest(user, position, liquidity, account, requestId);
+    }
+    
+    // Swap the optimal share of a request's PIO to its quote token, then add liquidity and lock without a deposit
+    function zapAddLiquidity(bytes32 requestId, uint256 minUsdtOut, uint256 slippagePercent, uint256 deadline)
+        external
+        whenNotPaused
+        nonReentrant
+        returns (bool)
+    {
+        require(slippagePercent <= 90, "Slippage too high");
+        require(minUsdtOut > 0, "Invalid min USDT out");
+        (address account, Transaction storage txn) = _getTransaction(requestId);
+        require(account == msg.sender, "Not the owner of this request");
+        RequestLib.requireOpen(txn);
+        require(txn.status == RequestStatus.Created, "Already deposited USDT");
+
+        RequestLib.UserInfo storage user = _userData[msg.sender];
+        uint256 pioAmount = txn.pioAmount;
+        require(user.pioBalance >= pioAmount, "Insufficient PIONE");
+        address quoteToken = _quoteTokenOf(requestId);
+        _checkPriceGuard(quoteToken);
+
+        (uint256 swapAmount, ) = previewZap(quoteToken, pioAmount);
+        _debitPio(user, swapAmount);
+        uint256 usdtReceived = LiquidityLib.swap(router, PIONE_TOKEN, quoteToken, swapAmount, minUsdtOut, deadline);
+        _creditQuote(user, quoteToken, usdtReceived);
+        emit ZapSwapped(requestId, msg.sender, swapAmount, usdtReceived, minUsdtOut);
+
+        uint256 position = user._positions[requestId];
+        uint256 liquidity = _executeAddLiquidity(
+            user,
+            position,
+            pioAmount - swapAmount,
+            usdtReceived,
+            slippagePercent * 100,
+            deadline,
+            0,
+            0,
             msg.sender,
             requestId
         );
 
-        _lockLPTokens(user, position, liquidity, msg.sender, requestId);
+        _lockRequest(user, position, liquidity, msg.sender, requestId);
         return true;
     }
-    
+
+    // Cancel a pending request, its PIO and deposited USDT stay claimable
+    function cancelRequest(bytes32 requestId) external whenNotPaused returns (bool) {
+        (address account, Transaction storage txn) = _getTransaction(requestId);
+        RequestLib.cancel(txn, requestId, account, hasRole(MANAGER_ROLE, msg.sender));
+        return true;
+    }
+
+    // Add a pending request's LP to an existing lock of the same user instead of creating a new one, 0 clears it
+    function setRequestTopUpLock(bytes32 requestId, uint256 lockId) external whenNotPaused {
+        (address account, Transaction storage txn) = _getTransaction(requestId);
+        require(account == msg.sender, "Not the owner of this request");
+        LPLockLib.setTopUpTarget(txn, requestId, lockId, _lockerAccounts[POOL_LOCK][lockId]);
+        _requestLockers[requestId] = POOL_LOCK;
+    }
+
+    // Push back the unlock date of a request's lock after the user transferred it to the manager
+    function extendLock(bytes32 requestId, uint256 newUnlockDate) external whenNotPaused nonReentrant {
+        (address account, Transaction storage txn) = _getTransaction(requestId);
+        require(account == msg.sender, "Not the owner of this request");
+        require(newUnlockDate <= block.timestamp + maxLockDuration, "Lock duration out of range");
+        address locker = _requestLockers[requestId];
+        LPLockLib.extendRequest(_userData[msg.sender], _requestLockers, txn, locker, requestId, newUnlockDate, _lockerAccounts[locker][txn.pinkLockId]);
+    }
+
+    // Give back a lock of `pinkLock` transferred to the manager that was not used for a top-up or extension
+    function returnLock(address pinkLock, uint256 lockId) external nonReentrant {
+        require(_lockerAccounts[pinkLock][lockId] == msg.sender, "Not the owner of this lock");
+        LPLockLib.release(pinkLock, lockId, msg.sender);
+
+        emit LockReturned(pinkLock, lockId, msg.sender);
+    }
+
     // Claim USDT balance
     function claimUSDT(uint256 amount) external nonReentrant whenNotPaused returns (bool) {
-        require(amount > 0, "invalid amount");
-        UserInfo storage user = _userData[msg.sender];
-        require(user.usdtBalance >= amount, "Insufficient balance USDT");
-        user.usdtBalance -= amount;
+        _claimQuote(msg.sender, msg.sender, USDT_TOKEN, amount);
+        return true;
+    }
 
-        IERC20(USDT_TOKEN).safeTransfer(msg.sender, amount);
+    // Claim USDT balance to another BSC address
+    function claimUSDTTo(uint256 amount, address recipient) external nonReentrant whenNotPaused returns (bool) {
+        require(recipient != address(0), "Invalid recipient");
+        _claimQuote(msg.sender, recipient, USDT_TOKEN, amount);
+        return true;
+    }
 
-        emit ClaimedUSDT(msg.sender, amount);
+    // Claim the balance of a quote token to a BSC address
+    function claimQuoteToken(address quoteToken, uint256 amount, address recipient)
+        external
+        nonReentrant
+        whenNotPaused
+        returns (bool)
+    {
+        require(recipient != address(0), "Invalid recipient");
+        _claimQuote(msg.sender, recipient, quoteToken, amount);
         return true;
     }
 
     // Claim PIO balance and bridge back to Pione Chain
     function claimPioToPioneChain(uint256 amount) external nonReentrant whenNotPaused returns (bool) {
+        _claimPio(msg.sender, msg.sender, amount);
+        return true;
+    }
+
+    // Claim PIO balance and bridge it to another Pione Chain address
+    function claimPioToPioneChainTo(uint256 amount, address recipient) external nonReentrant whenNotPaused returns (bool) {
+        require(recipient != address(0), "Invalid recipient");
+        _claimPio(msg.sender, recipient, amount);
+        return true;
+    }
+
+    // Choose whether leftovers of future executions are paid out right away instead of kept in the balances
+    function setAutoRefund(bool refundUsdt, bool refundPio) external {
+        autoRefunds[msg.sender] = AutoRefund(refundUsdt, refundPio);
+        emit AutoRefundUpdated(msg.sender, refundUsdt, refundPio);
+    }
+
+    // Take PIO from the balance and queue it for bridging to `recipient` once the bridge daily limit allows it
+    function queuePioClaim(uint256 amount, address recipient) external nonReentrant whenNotPaused returns (uint256) {
+        require(recipient != address(0), "Invalid recipient");
+        _takePio(msg.sender, amount);
+        return ClaimQueueLib.enqueue(_pioClaims, bridgeLimits, msg.sender, recipient, amount);
+    }
+
+    // Bridge queued PIO claims in FIFO order while the bridge limits allow it, anyone can call this
+    function processPioClaims(uint256 maxClaims) external nonReentrant whenNotPaused returns (uint256) {
+        return ClaimQueueLib.process(_pioClaims, PIONE_TOKEN, pioneBridge, bridgeLimits, PIONECHAIN_ID, maxClaims);
+    }
+
+    // Cancel a queued PIO claim and return it to the balance, by its owner or by a manager to unblock the queue
+    function cancelPioClaim(uint256 claimId) external nonReentrant {
+        (address account, uint256 amount) = ClaimQueueLib.cancel(_pioClaims, claimId, hasRole(MANAGER_ROLE, msg.sender));
+        _creditPio(_userData[account], amount);
+    }
+
+    // Send a quote token from the balance of `account` to `recipient` on BSC
+    function _claimQuote(address account, address recipient, address quoteToken, uint256 amount) private {
+        require(amount > 0, "invalid amount");
+        RequestLib.UserInfo storage user = _userData[account];
+        require(_quoteBalance(user, quoteToken) >= amount, "Insufficient balance USDT");
+        _debitQuote(user, quoteToken, amount);
+
+        IERC20(quoteToken).safeTransfer(recipient, amount);
+
+        if (quoteToken != USDT_TOKEN) {
+            emit ClaimedQuoteToken(account, recipient, quoteToken, amount);
+        } else if (recipient == account) {
+            emit ClaimedUSDT(account, amount);
+        } else {
+            emit ClaimedUSDTTo(account, recipient, amount);
+        }
+    }
+
+    // Bridge PIO from the balance of `account` to `recipient` on Pione Chain
+    function _claimPio(address account, address recipient, uint256 amount) private {
+        _takePio(account, amount);
+        bytes32 requestId = ClaimQueueLib.bridgeOut(PIONE_TOKEN, pioneBridge, bridgeLimits, PIONECHAIN_ID, recipient, amount);
+
+        if (recipient == account) {
+            emit ClaimedPIOtoPioneChain(requestId, account, amount);
+        } else {
+            emit ClaimedPIOtoPioneChainTo(requestId, account, recipient, amount);
+        }
+    }
+
+    // Debit a PIO claim from the balance of `account`
+    function _takePio(address account, uint256 amount) private {
         require(amount > 0, "Amount PIO must be > 0");
         require(amount >= _minClaimPIOAmount, "Amount below minimum");
-        UserInfo storage user = _userData[msg.sender];
+        RequestLib.UserInfo storage user = _userData[account];
         require(user.pioBalance >= amount, "Insufficient balance PIO");
-        user.pioBalance -= amount;
-
-        bytes32 requestId = IPioneChainBridge(pioneBridge).bridgeOut(msg.sender, amount, PIONECHAIN_ID);
-
-        emit ClaimedPIOtoPioneChain(requestId, msg.sender, amount);
-        return true;
+        _debitPio(user, amount);
     }
 
     // Calculate optimal USDT amount for given PIO amount
     function getOptimalAmountUSDT(uint256 pioAmount) external view returns (uint256 optimalUsdtAmount) {
-        (uint256 reserveUsdt, uint256 reservePione) = getReserves();
-        optimalUsdtAmount = router.quote(pioAmount, reservePione, reserveUsdt);
+        return getOptimalAmountQuote(USDT_TOKEN, pioAmount);
     }
 
     // Calculate optimal PIO amount for given USDT amount
     function getOptimalAmountPIO(uint256 usdtAmount) external view returns (uint256 optimalPioAmount) {
-        (uint256 reserveUsdt, uint256 reservePione) = getReserves();
-        optimalPioAmount = router.quote(usdtAmount, reserveUsdt, reservePione);
+        return getOptimalAmountPIO(USDT_TOKEN, usdtAmount);
+    }
+
+    // Calculate the optimal amount of a quote token for a PIO amount in its pair
+    function getOptimalAmountQuote(address quoteToken, uint256 pioAmount) public view returns (uint256 optimalQuoteAmount) {
+        (uint256 reserveQuote, uint256 reservePione) = getReserves(quoteToken);
+        optimalQuoteAmount = router.quote(pioAmount, reservePione, reserveQuote);
+    }
+
+    // Calculate the optimal PIO amount for an amount of a quote token in its pair
+    function getOptimalAmountPIO(address quoteToken, uint256 quoteAmount) public view returns (uint256 optimalPioAmount) {
+        (uint256 reserveQuote, uint256 reservePione) = getReserves(quoteToken);
+        optimalPioAmount = router.quote(quoteAmount, reserveQuote, reservePione);
     }
 
     // Preview liquidity addition with refund amounts
@@ -261,127 +579,231 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
             uint256 actualUsdtAmount,
             uint256 estimatedLiquidity,
             uint256 refundPio,
-            uint256 refundUsdt
+            uint256 refundUsdt,
+            uint256 feeLiquidity
         )
     {
-        (uint256 reserveUsdt, uint256 reservePione) = getReserves();
-        uint256 optimalUsdt = router.quote(pioneAmount, reservePione, reserveUsdt);
-
-        if (optimalUsdt <= usdtAmount) {
-            actualPioAmount = pioneAmount;
-            actualUsdtAmount = optimalUsdt;
-            refundUsdt = usdtAmount - optimalUsdt;
-            refundPio = 0;
-        } else {
-            uint256 optimalPio = router.quote(usdtAmount, reserveUsdt, reservePione);
-            actualPioAmount = optimalPio;
-            actualUsdtAmount = usdtAmount;
-            refundPio = pioneAmount - optimalPio;
-            refundUsdt = 0;
-        }
+        return previewAddLiquidity(USDT_TOKEN, pioneAmount, usdtAmount);
+    }
+
+    // Preview liquidity addition to the pair of a quote token with refund amounts.
+    // estimatedLiquidity is the LP left for the user once the protocol fee share is taken.
+    function previewAddLiquidity(address quoteToken, uint256 pioneAmount, uint256 quoteAmount)
+        public
+        view
+        returns (
+            uint256 actualPioAmount,
+            uint256 actualQuoteAmount,
+            uint256 estimatedLiquidity,
+            uint256 refundPio,
+            uint256 refundQuote,
+            uint256 feeLiquidity
+        )
+    {
+        (actualPioAmount, actualQuoteAmount, estimatedLiquidity, refundPio, refundQuote) =
+            LiquidityLib.previewAddLiquidity(router, _pairOf(quoteToken), quoteToken, pioneAmount, quoteAmount);
+        feeLiquidity = estimatedLiquidity * protocolFeeBps / 10000;
+        estimatedLiquidity -= feeLiquidity;
+    }
 
-        // Estimate liquidity tokens
-        uint256 totalSupply = IPancakePair(LP_PAIR).totalSupply();
-        estimatedLiquidity = (actualPioAmount * totalSupply) / reservePione;
+    // Preview a zap: the PIO share swapped so the remainder matches the post-swap pool ratio, and the USDT it buys
+    function previewZap(uint256 pioAmount) external view returns (uint256 swapAmount, uint256 usdtOut) {
+        return previewZap(USDT_TOKEN, pioAmount);
+    }
+
+    // Preview a zap in the pair of a quote token
+    function previewZap(address quoteToken, uint256 pioAmount) public view returns (uint256 swapAmount, uint256 quoteOut) {
+        return LiquidityLib.previewZap(router, _pairOf(quoteToken), quoteToken, pioAmount);
     }
 
     // Get current LP reserves for USDT and PIO
-    function getReserves() public view returns(uint256 reserveUsdt, uint256 reservePione) {
-        (uint256 reserve0, uint256 reserve1,) = IPancakePair(LP_PAIR).getReserves();
-        address token0 = IPancakePair(LP_PAIR).token0();
-        (reserveUsdt, reservePione) = token0 == USDT_TOKEN
-            ? (reserve0, reserve1)
-            : (reserve1, reserve0);
+    function getReserves() external view returns (uint256 reserveUsdt, uint256 reservePione) {
+        return getReserves(USDT_TOKEN);
+    }
+
+    // Get current reserves of a quote token and PIO in their pair
+    function getReserves(address quoteToken) public view returns (uint256 reserveQuote, uint256 reservePione) {
+        return LiquidityLib.getReserves(_pairOf(quoteToken), quoteToken);
+    }
+
+    // Record the pair's time-weighted PIO price, at most once per TWAP period
+    function updateTwap() external {
+        LiquidityLib.updateTwap(twapObservation, LP_PAIR, PIONE_TOKEN, priceGuard.twapPeriod);
+    }
+
+    // Compare the spot PIO price with the price feed, or the TWAP when no feed is set
+    function getPriceDeviation()
+        public
+        view
+        returns (uint256 spotPrice, uint256 referencePrice, uint256 deviationBps)
+    {
+        return LiquidityLib.getPriceDeviation(priceGuard, twapObservation, LP_PAIR, PIONE_TOKEN, USDT_TOKEN);
     }
 
-    // Execute liquidity addition to PancakeSwap
+    // Revert when the price guard is enabled and the spot price strays too far from the reference price.
+    // The feed and the TWAP price PIO in USDT, so pairs of other quote tokens cannot be checked and do not execute.
+    function _checkPriceGuard(address quoteToken) private view {
+        if (priceGuard.maxDeviationBps == 0) return;
+        require(quoteToken == USDT_TOKEN, "No reference price for pair");
+        (, , uint256 deviationBps) = getPriceDeviation();
+        require(deviationBps <= priceGuard.maxDeviationBps, "Price deviation too high");
+    }
+
+    // Execute liquidity addition to PancakeSwap, the larger of the slippage and absolute minimums applies
     function _executeAddLiquidity(
-        UserInfo storage user,
+        RequestLib.UserInfo storage user,
         uint256 position,
         uint256 pioAmount,
         uint256 usdtAmount,
-        uint256 slippagePercent,
+        uint256 slippageBps,
+        uint256 deadline,
+        uint256 amountPioMin,
+        uint256 amountUsdtMin,
         address account,
         bytes32 requestId
     ) private returns (uint256 liquidity) {
-        uint256 amountPioMin = pioAmount * (100 - slippagePercent) / 100;
-        uint256 amountUsdtMin = usdtAmount * (100 - slippagePercent) / 100;
-        user.pioBalance -= pioAmount;
-        user.usdtBalance -= usdtAmount;
+        require(slippageBps <= maxSlippageBps, "Slippage too high");
+        address quoteToken = _quoteTokenOf(requestId);
+        _debitPio(user, pioAmount);
+        _debitQuote(user, quoteToken, usdtAmount);
 
-        (uint amountA, uint amountB, uint liquidityAmount) = router.addLiquidity(
+        (uint256 amountA, uint256 amountB, uint256 liquidityAmount) = LiquidityLib.addLiquidity(
+            router,
             PIONE_TOKEN,
-            USDT_TOKEN,
+            quoteToken,
             pioAmount,
             usdtAmount,
+            slippageBps,
+            deadline,
             amountPioMin,
-            amountUsdtMin,
-            address(this),
-            block.timestamp + 300
+            amountUsdtMin
         );
 
+        // Send the protocol fee share of the LP to the treasury, the rest is recorded and locked for the user
+        uint256 feeLiquidity = liquidityAmount * protocolFeeBps / 10000;
+        if (feeLiquidity > 0) {
+            IERC20(_pairOf(quoteToken)).safeTransfer(feeTreasury, feeLiquidity);
+            liquidityAmount -= feeLiquidity;
+        }
+
         // Update transaction and refund unused tokens
         user.transactions[position].liquidityAmount = liquidityAmount;
         user.totalLiquidity += liquidityAmount;
-
-        if (pioAmount > amountA) user.pioBalance += (pioAmount - amountA);
-        if (usdtAmount > amountB) user.usdtBalance += (usdtAmount - amountB);
-
-        emit LiquidityAdded(account, requestId, amountA, amountB, liquidityAmount, slippagePercent);
+        RequestLib.setStatus(user.transactions[position], requestId, account, RequestStatus.Executed);
+
+        if (pioAmount > amountA) _creditPio(user, pioAmount - amountA);
+        if (usdtAmount > amountB) _creditQuote(user, quoteToken, usdtAmount - amountB);
+
+        emit LiquidityAdded(account, requestId, amountA, amountB, liquidityAmount, slippageBps / 100, slippageBps, feeLiquidity);
+
+        // Pay out the leftovers for users who opted in, PIO the bridge or the claim minimum would refuse stays in the balance
+        AutoRefund memory autoRefund = autoRefunds[account];
+        uint256 pioLeft = pioAmount - amountA;
+        if (autoRefund.usdt && usdtAmount > amountB) _claimQuote(account, account, quoteToken, usdtAmount - amountB);
+        if (
+            autoRefund.pio &&
+            pioLeft >= _minClaimPIOAmount &&
+            bytes(ClaimQueueLib.checkBridgeOut(pioneBridge, bridgeLimits, pioLeft)).length == 0
+        ) _claimPio(account, account, pioLeft);
         return liquidityAmount;
     }
 
-    // Validate and get token amounts for transaction
-    function _validateAndGetAmounts(UserInfo storage user, uint256 position)
-        private
-        view
-        returns (uint256 pioAmount, uint256 usdtAmount)
-    {
-        pioAmount = user.transactions[position].pioAmount;
-        usdtAmount = user.transactions[position].usdtAmount;
-        
-        require(user.pioBalance >= pioAmount, "Insufficient PIONE");
-        require(user.usdtBalance >= usdtAmount, "Insufficient USDT");
-    }
-
-    // Lock LP tokens in PinkLock
-    function _lockLPTokens(
-        UserInfo storage user,
+    // Lock a request's new LP in the current locker, as a new lock or a top-up of its target lock there
+    function _lockRequest(
+        RequestLib.UserInfo storage user,
         uint256 position,
         uint256 liquidity,
         address account,
         bytes32 requestId
     ) private {
-        IERC20(LP_PAIR).approve(POOL_LOCK, liquidity);
+        uint256 lockId = user.transactions[position].pinkLockId;
+        if (lockId != 0) {
+            // A top-up target chosen before setLpLocker is a lock of the previous locker, new liquidity only goes to the current one
+            require(_requestLockers[requestId] == POOL_LOCK, "Lock not in current locker");
+            require(_lockerAccounts[POOL_LOCK][lockId] == account, "Not the owner of this lock");
+        }
+        _requestLockers[requestId] = POOL_LOCK;
+        address pair = _pairOf(_quoteTokenOf(requestId));
+        LPLockLib.lockRequest(user, _lockerAccounts[POOL_LOCK], _requestLockers, position, liquidity, POOL_LOCK, pair, account, requestId);
+    }
 
-        uint256 unlockDate = block.timestamp + (30 days * user.transactions[position].lockMonths);
-        string memory description = string(abi.encodePacked('{"l": "PIO LP Locker ', _getLastSixChars(account), '"}'));
+    // Debit PIO from a user balance and the global liability
+    function _debitPio(RequestLib.UserInfo storage user, uint256 amount) private {
+        user.pioBalance -= amount;
+        totalPioLiabilities -= amount;
+    }
 
-        uint256 lockId = IPinkLock(POOL_LOCK).lock(
-            account,
-            LP_PAIR,
-            true,
-            liquidity,
-            unlockDate,
-            description
-        );
-        user.transactions[position].pinkLockId = lockId;
+    // Credit a quote token to a user balance and its global liability, USDT keeps its own fields
+    function _creditQuote(RequestLib.UserInfo storage user, address quoteToken, uint256 amount) private {
+        if (quoteToken == USDT_TOKEN) {
+            user.usdtBalance += amount;
+            totalUsdtLiabilities += amount;
+        } else {
+            user.quoteBalances[quoteToken] += amount;
+            quoteLiabilities[quoteToken] += amount;
+        }
+    }
 
-        emit LiquidityLocked(account, requestId, lockId, liquidity, unlockDate);
+    // Debit a quote token from a user balance and its global liability
+    function _debitQuote(RequestLib.UserInfo storage user, address quoteToken, uint256 amount) private {
+        if (quoteToken == USDT_TOKEN) {
+            user.usdtBalance -= amount;
+            totalUsdtLiabilities -= amount;
+        } else {
+            user.quoteBalances[quoteToken] -= amount;
+            quoteLiabilities[quoteToken] -= amount;
+        }
     }
 
-    // Get last 6 hex characters of address
-    function _getLastSixChars(address account) internal pure returns (string memory) {
-        bytes memory hexChars = "0123456789abcdef";
-        bytes memory result = new bytes(6);
+    // Get a user's balance of a quote token
+    function _quoteBalance(RequestLib.UserInfo storage user, address quoteToken) private view returns (uint256) {
+        return quoteToken == USDT_TOKEN ? user.usdtBalance : user.quoteBalances[quoteToken];
+    }
 
-        uint160 addr = uint160(account);
-        for (uint i = 0; i < 3; i++) {
-            uint8 byteValue = uint8(addr >> (8 * (2 - i)));
-            result[i * 2] = hexChars[byteValue >> 4];
-            result[i * 2 + 1] = hexChars[byteValue & 0x0f];
-        }
-        return string(result);
+    // Get the quote token a request pairs PIO with
+    function _quoteTokenOf(bytes32 requestId) private view returns (address quoteToken) {
+        quoteToken = _requestQuoteTokens[requestId];
+        if (quoteToken == address(0)) quoteToken = USDT_TOKEN;
+    }
+
+    // Pull the USDT required by a request of `account` and mark the request as funded
+    function _pullUSDT(address account, bytes32 requestId) private {
+        uint256 usdtAmount = _requestUsdtAmount(account, requestId);
+        IERC20(_quoteTokenOf(requestId)).safeTransferFrom(account, address(this), usdtAmount);
+        _fundRequest(account, requestId, usdtAmount);
+    }
+
+    // Get the USDT required by a request of `account`
+    function _requestUsdtAmount(address account, bytes32 requestId) private view returns (uint256) {
+        RequestLib.UserInfo storage user = _userData[account];
+        return user.transactions[user._positions[requestId]].usdtAmount;
+    }
+
+    // Credit the USDT received from `account` and mark their request as funded
+    function _fundRequest(address account, bytes32 requestId, uint256 usdtAmount) private {
+        RequestLib.UserInfo storage user = _userData[account];
+        _creditQuote(user, _quoteTokenOf(requestId), usdtAmount);
+        _markFunded(user.transactions[user._positions[requestId]], requestId, account, usdtAmount);
+    }
+
+    // Mark a request as funded with its required USDT
+    function _markFunded(Transaction storage txn, bytes32 requestId, address account, uint256 usdtAmount) private {
+        txn.depositUSDT = true;
+        RequestLib.setStatus(txn, requestId, account, RequestStatus.Funded);
+        emit UserDepositUSDT(requestId, account, usdtAmount);
+    }
+
+    // Validate and get token amounts for transaction
+    function _validateAndGetAmounts(RequestLib.UserInfo storage user, uint256 position, address quoteToken)
+        private
+        view
+        returns (uint256 pioAmount, uint256 usdtAmount)
+    {
+        pioAmount = user.transactions[position].pioAmount;
+        usdtAmount = user.transactions[position].usdtAmount;
+        
+        require(user.pioBalance >= pioAmount, "Insufficient PIONE");
+        require(_quoteBalance(user, quoteToken) >= usdtAmount, "Insufficient USDT");
     }
 
     // Get transaction information by request ID
@@ -394,16 +816,14 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
             uint256 liquidityAmount,
             bool _depositUSDT,
             uint256 pinkLockId,
-            uint256 lockMonths
+            uint256 lockMonths,
+            uint256 unlockDate,
+            uint256 expiresAt,
+            RequestStatus status,
+            VestingSchedule memory vesting
         )
     {
-        require(_usedRequestIds[requestId] != address(0), "RequestId does not exist");
-        address account = _usedRequestIds[requestId];
-        UserInfo storage user = _userData[account];
-        uint256 position = user._positions[requestId];
-
-        require(position < user.transactions.length, "Invalid position");
-        Transaction storage txn = user.transactions[position];
+        (, Transaction storage txn) = _getTransaction(requestId);
 
         return (
             txn.pioAmount,
@@ -411,29 +831,123 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
             txn.liquidityAmount,
             txn.depositUSDT,
             txn.pinkLockId,
-            txn.lockMonths
+            txn.lockMonths,
+            txn.unlockDate,
+            txn.expiresAt,
+            txn.status,
+            txn.vesting
         );
     }
 
+    // Get the current lifecycle status of a request, reporting pending requests past their expiry as expired
+    function getRequestStatus(bytes32 requestId) external view returns (RequestStatus) {
+        (, Transaction storage txn) = _getTransaction(requestId);
+        if ((txn.status == RequestStatus.Created || txn.status == RequestStatus.Funded) && RequestLib.isExpired(txn)) {
+            return RequestStatus.Expired;
+        }
+        return txn.status;
+    }
+
     // Get user's PIO and USDT balances
     function getUserBalances(address account) external view returns (uint256 pioBalance, uint256 usdtBalance) {
-        UserInfo storage user = _userData[account];
+        RequestLib.UserInfo storage user = _userData[account];
         return (
             user.pioBalance,
             user.usdtBalance
         );
     }
 
+    // Get user's balance of a quote token
+    function getQuoteBalance(address account, address quoteToken) external view returns (uint256) {
+        return _quoteBalance(_userData[account], quoteToken);
+    }
+
+    // Get the quote token a request pairs PIO with, USDT unless it was created for another pair
+    function getRequestQuoteToken(bytes32 requestId) external view returns (address) {
+        _getTransaction(requestId);
+        return _quoteTokenOf(requestId);
+    }
+
+    // Get the quote tokens registered besides USDT
+    function getQuoteTokens() external view returns (address[] memory) {
+        return _quoteTokens;
+    }
+
+    // Get the user's total LP tokens provided across all requests
+    function getUserTotalLiquidity(address account) external view returns (uint256) {
+        return _userData[account].totalLiquidity;
+    }
+
+    // Get the number of requests created for a user
+    function getUserTransactionCount(address account) external view returns (uint256) {
+        return _userData[account].transactions.length;
+    }
+
+    // Get a page of a user's requests in creation order
+    function getUserTransactions(address account, uint256 offset, uint256 limit)
+        external
+        view
+        returns (bytes32[] memory requestIds, Transaction[] memory transactions)
+    {
+        RequestLib.UserInfo storage user = _userData[account];
+        uint256 total = user.transactions.length;
+        if (offset >= total) return (requestIds, transactions);
+
+        uint256 size = total - offset < limit ? total - offset : limit;
+        requestIds = new bytes32[](size);
+        transactions = new Transaction[](size);
+        for (uint256 i = 0; i < size; i++) {
+            requestIds[i] = user.requestIds[offset + i];
+            transactions[i] = user.transactions[offset + i];
+        }
+    }
+
+    // Compare the PIO and USDT owed to users with what the contract actually holds
+    function checkSolvency()
+        external
+        view
+        returns (bool solvent, uint256 pioHeld, uint256 usdtHeld)
+    {
+        pioHeld = IERC20(PIONE_TOKEN).balanceOf(address(this));
+        usdtHeld = IERC20(USDT_TOKEN).balanceOf(address(this));
+        solvent = pioHeld >= _liabilitiesOf(PIONE_TOKEN) && usdtHeld >= totalUsdtLiabilities;
+        // Every registered quote token must cover its own liabilities too
+        for (uint256 i = 0; solvent && i < _quoteTokens.length; i++) {
+            address quoteToken = _quoteTokens[i];
+            solvent = IERC20(quoteToken).balanceOf(address(this)) >= quoteLiabilities[quoteToken];
+        }
+    }
+
+    // Get a queued PIO claim and how many queue slots are ahead of it
+    function getPioClaim(uint256 claimId) external view returns (PioClaim memory claim, uint256 position) {
+        claim = _pioClaims.claims[claimId];
+        require(claim.amount > 0, "Claim not queued");
+        position = claimId - _pioClaims.head;
+    }
+
+    // Get the next claim to process, the next claim id and the PIO held for queued claims
+    function getPioClaimQueue() external view returns (uint256 head, uint256 tail, uint256 totalAmount) {
+        return (_pioClaims.head, _pioClaims.tail, _pioClaims.totalAmount);
+    }
+
+    // Get the PIO an account has waiting in the claim queue
+    function getPendingPioClaims(address account) external view returns (uint256) {
+        return _pioClaims.pending[account];
+    }
+
     // Get the owner address of a requestId
     function getRequestIdOwner(bytes32 requestId) external view returns (address) {
         return _usedRequestIds[requestId];
     }
 
-    // Set minimum claim PIO amount
-    function setMinClaimPIOAmount(uint256 minAmount) external onlyOwner {
-        require(minAmount > 0, "Min amount must be greater than 0");
-        emit UpdatedMinClaimPIOAmount(_minClaimPIOAmount, minAmount);
-        _minClaimPIOAmount = minAmount;
+    // Get the locker holding a request's lock, or for a pending request the one current when it was created or given its top-up target
+    function getRequestLocker(bytes32 requestId) external view returns (address) {
+        return _requestLockers[requestId];
+    }
+
+    // Get the EIP-712 domain separator LiquidityIntent signatures are made for
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return RequestLib.domainSeparator();
     }
 
     // Get minimum claim PIO amount
@@ -441,18 +955,14 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
         return _minClaimPIOAmount;
     }
 
-    // Set PioneBridge address
-    function setPioneBridge(address _pioneBridge) public onlyOwner {
-        require(_pioneBridge != address(0), "Invalid PioneBridge address");
-        emit PioneBridgeUpdated(pioneBridge, _pioneBridge);
-        pioneBridge = _pioneBridge;
+    // Get how much of a token the owner can rescue: the balance above tracked user liabilities
+    function getRescuableAmount(address token) external view returns (uint256) {
+        return _rescuableAmount(token);
     }
 
-    // Approve router to spend PIONE and USDT tokens
-    function _approveRouter(address _router, uint256 value) private returns (bool) {
-        IERC20(PIONE_TOKEN).approve(_router, value);
-        IERC20(USDT_TOKEN).approve(_router, value);
-        return true;
+    // Revert unless the caller can still fund the request
+    function _checkCanDeposit(bytes32 requestId) private view {
+        RequestLib.requireFundable(_userData[msg.sender], _usedRequestIds[requestId], msg.sender, requestId);
     }
 
     // Pause contract
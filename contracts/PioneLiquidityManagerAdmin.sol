@@ -0,0 +1,349 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import { PioneLiquidityManagerBase } from "./PioneLiquidityManagerBase.sol";
+import { IPancakeRouter02 } from "./interfaces/IPancakeRouter02.sol";
+import { IPioneLiquidityManager } from "./interfaces/IPioneLiquidityManager.sol";
+import { LPLockLib } from "./libraries/LPLockLib.sol";
+import { RequestLib } from "./libraries/RequestLib.sol";
+import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+// Bridge intake and the owner, manager and timelock functions of PioneLiquidityManager, split off to keep the
+// manager below the size limit. The manager creates it and delegates those calls to it, so it runs on the proxy
+// storage; called directly it only sees its own empty storage, where no account holds a role.
+contract PioneLiquidityManagerAdmin is PioneLiquidityManagerBase {
+    using SafeERC20 for IERC20;
+
+    // Handle completed bridge transaction and create liquidity request
+    function handleBridgeCompleted(
+        bytes32 requestId,
+        address account,
+        uint256 amountPIO,
+        uint256 amountUSDT,
+        uint256 lockMonths
+    )
+        external
+        onlyManager
+        whenNotPaused
+    {
+        string memory reason = _checkBridgeCompleted(requestId, account, amountPIO, lockMonths, 0);
+        require(bytes(reason).length == 0, reason);
+        _createRequest(requestId, account, amountPIO, amountUSDT, lockMonths, 0);
+    }
+
+    // Handle completed bridge transaction and create a liquidity request that locks until an exact timestamp
+    function handleBridgeCompletedWithUnlockDate(
+        bytes32 requestId,
+        address account,
+        uint256 amountPIO,
+        uint256 amountUSDT,
+        uint256 unlockDate
+    )
+        external
+        onlyManager
+        whenNotPaused
+    {
+        require(unlockDate != 0, "Invalid unlock date");
+        string memory reason = _checkBridgeCompleted(requestId, account, amountPIO, 0, unlockDate);
+        require(bytes(reason).length == 0, reason);
+        _createRequest(requestId, account, amountPIO, amountUSDT, 0, unlockDate);
+    }
+
+    // Handle completed bridge transaction and create a liquidity request for the pair of a registered quote token.
+    // The request's USDT amounts, deposits and balances are in `quoteToken`.
+    function handleBridgeCompletedForPair(
+        bytes32 requestId,
+        address account,
+        uint256 amountPIO,
+        address quoteToken,
+        uint256 amountQuote,
+        uint256 lockMonths
+    )
+        external
+        onlyManager
+        whenNotPaused
+    {
+        string memory reason = _checkBridgeCompletedForPair(requestId, account, amountPIO, quoteToken, lockMonths);
+        require(bytes(reason).length == 0, reason);
+        _createPairRequest(requestId, account, amountPIO, quoteToken, amountQuote, lockMonths);
+    }
+
+    // Handle several completed bridge transactions, either all-or-nothing or skipping invalid entries
+    function handleBridgeCompletedBatch(
+        bytes32[] calldata requestIds,
+        address[] calldata accounts,
+        uint256[] calldata amountsPIO,
+        uint256[] calldata amountsUSDT,
+        uint256[] calldata lockMonths,
+        bool skipInvalid
+    )
+        external
+        onlyManager
+        whenNotPaused
+        returns (uint256 processed)
+    {
+        uint256 length = requestIds.length;
+        require(length > 0, "Empty batch");
+        require(
+            accounts.length == length && amountsPIO.length == length &&
+            amountsUSDT.length == length && lockMonths.length == length,
+            "Array length mismatch"
+        );
+
+        for (uint256 i = 0; i < length; i++) {
+            bytes32 requestId = requestIds[i];
+            address account = accounts[i];
+            string memory reason = _checkBridgeCompleted(requestId, account, amountsPIO[i], lockMonths[i], 0);
+            if (bytes(reason).length != 0) {
+                require(skipInvalid, reason);
+                emit IPioneLiquidityManager.BridgeCompletedSkipped(requestId, account, reason);
+                continue;
+            }
+            _createRequest(requestId, account, amountsPIO[i], amountsUSDT[i], lockMonths[i], 0);
+            processed++;
+        }
+    }
+
+    // Batch version of handleBridgeCompletedForPair, each entry names the quote token of its pair
+    function handleBridgeCompletedBatchForPair(
+        bytes32[] calldata requestIds,
+        address[] calldata accounts,
+        uint256[] calldata amountsPIO,
+        address[] calldata quoteTokens,
+        uint256[] calldata amountsQuote,
+        uint256[] calldata lockMonths,
+        bool skipInvalid
+    )
+        external
+        onlyManager
+        whenNotPaused
+        returns (uint256 processed)
+    {
+        uint256 length = requestIds.length;
+        require(length > 0, "Empty batch");
+        require(
+            accounts.length == length && amountsPIO.length == length && quoteTokens.length == length &&
+            amountsQuote.length == length && lockMonths.length == length,
+            "Array length mismatch"
+        );
+
+        for (uint256 i = 0; i < length; i++) {
+            string memory reason = _checkBridgeCompletedForPair(
+                requestIds[i],
+                accounts[i],
+                amountsPIO[i],
+                quoteTokens[i],
+                lockMonths[i]
+            );
+            if (bytes(reason).length != 0) {
+                require(skipInvalid, reason);
+                emit IPioneLiquidityManager.BridgeCompletedSkipped(requestIds[i], accounts[i], reason);
+                continue;
+            }
+            _createPairRequest(requestIds[i], accounts[i], amountsPIO[i], quoteTokens[i], amountsQuote[i], lockMonths[i]);
+            processed++;
+        }
+    }
+
+    // Create a request on the pair of `quoteToken`, requests without a recorded quote token use PIO/USDT
+    function _createPairRequest(
+        bytes32 requestId,
+        address account,
+        uint256 amountPIO,
+        address quoteToken,
+        uint256 amountQuote,
+        uint256 lockMonths
+    ) private {
+        if (quoteToken != USDT_TOKEN) _requestQuoteTokens[requestId] = quoteToken;
+        _createRequest(requestId, account, amountPIO, amountQuote, lockMonths, 0);
+        emit IPioneLiquidityManager.RequestPairSet(requestId, quoteToken, _pairOf(quoteToken));
+    }
+
+    // Return why a bridge completion for the pair of `quoteToken` cannot be handled, or an empty string if it can
+    function _checkBridgeCompletedForPair(
+        bytes32 requestId,
+        address account,
+        uint256 amountPIO,
+        address quoteToken,
+        uint256 lockMonths
+    ) private view returns (string memory) {
+        if (quoteToken != USDT_TOKEN && quotePairs[quoteToken] == address(0)) return "Quote token not registered";
+        return _checkBridgeCompleted(requestId, account, amountPIO, lockMonths, 0);
+    }
+
+    // Return why a bridge completion cannot be handled, or an empty string if it can
+    function _checkBridgeCompleted(
+        bytes32 requestId,
+        address account,
+        uint256 amountPIO,
+        uint256 lockMonths,
+        uint256 unlockDate
+    ) private view returns (string memory) {
+        if (_usedRequestIds[requestId] != address(0)) return "RequestId already set";
+        return RequestLib.checkBridgeCompleted(
+            pioneBridge,
+            PIONECHAIN_ID,
+            requestId,
+            account,
+            amountPIO,
+            _rescuableAmount(PIONE_TOKEN),
+            lockMonths,
+            unlockDate,
+            minLockDuration,
+            maxLockDuration
+        );
+    }
+
+    // Create a liquidity request and credit the bridged PIO to the user
+    function _createRequest(
+        bytes32 requestId,
+        address account,
+        uint256 amountPIO,
+        uint256 amountUSDT,
+        uint256 lockMonths,
+        uint256 unlockDate
+    ) private {
+        RequestLib.UserInfo storage userInfo = _userData[account];
+        RequestLib.create(userInfo, requestId, account, amountPIO, amountUSDT, lockMonths, unlockDate);
+        _usedRequestIds[requestId] = account;
+        _requestLockers[requestId] = POOL_LOCK;
+        _creditPio(userInfo, amountPIO);
+    }
+
+    // Set the time after which a pending request can no longer be funded or executed
+    function setRequestExpiry(bytes32 requestId, uint256 expiresAt) external onlyManager {
+        (, IPioneLiquidityManager.Transaction storage txn) = _getTransaction(requestId);
+        RequestLib.setExpiry(txn, requestId, expiresAt);
+    }
+
+    // Make a pending request lock its LP with a PinkLock vesting schedule, an all-zero schedule restores the cliff lock
+    function setRequestVesting(bytes32 requestId, IPioneLiquidityManager.VestingSchedule calldata vesting) external onlyManager {
+        (, IPioneLiquidityManager.Transaction storage txn) = _getTransaction(requestId);
+        LPLockLib.setVesting(txn, requestId, vesting, minLockDuration, maxLockDuration);
+    }
+
+    // Set minimum claim PIO amount
+    function setMinClaimPIOAmount(uint256 minAmount) external onlyTimelock {
+        require(minAmount > 0, "Min amount must be greater than 0");
+        emit IPioneLiquidityManager.UpdatedMinClaimPIOAmount(_minClaimPIOAmount, minAmount);
+        _minClaimPIOAmount = minAmount;
+    }
+
+    // Set PioneBridge address
+    function setPioneBridge(address _pioneBridge) external onlyTimelock {
+        require(_pioneBridge != address(0), "Invalid PioneBridge address");
+        emit IPioneLiquidityManager.PioneBridgeUpdated(pioneBridge, _pioneBridge);
+        pioneBridge = _pioneBridge;
+    }
+
+    // Set the Permit2 contract used by depositUSDTWithPermit2, address(0) disables it
+    function setPermit2(address _permit2) external onlyTimelock {
+        emit IPioneLiquidityManager.Permit2Updated(permit2, _permit2);
+        permit2 = _permit2;
+    }
+
+    // Move to another PancakeSwap router whose factory resolves the same pairs, revoking the old router's allowances
+    function setRouter(address _router) external onlyTimelock {
+        require(_router != address(0), "Invalid address");
+        require(_getPair(_router, USDT_TOKEN) == LP_PAIR, "LP pair mismatch");
+        for (uint256 i = 0; i < _quoteTokens.length; i++) {
+            require(_getPair(_router, _quoteTokens[i]) == quotePairs[_quoteTokens[i]], "LP pair mismatch");
+        }
+        _approveRouter(address(router), 0);
+        _approveRouter(_router, type(uint256).max);
+        emit IPioneLiquidityManager.RouterUpdated(address(router), _router);
+        router = IPancakeRouter02(_router);
+    }
+
+    // Register a quote token whose pair with PIO exists in the router's factory, so requests can target that pair
+    function addQuoteToken(address quoteToken) external onlyTimelock {
+        require(
+            quoteToken != address(0) && quoteToken != PIONE_TOKEN &&
+            quoteToken != USDT_TOKEN && quotePairs[quoteToken] == address(0) && !allowedDepositTokens[quoteToken],
+            "Invalid quote token"
+        );
+        address pair = _getPair(address(router), quoteToken);
+        require(pair != address(0), "LP pair does not exist");
+        quotePairs[quoteToken] = pair;
+        _quoteTokens.push(quoteToken);
+        IERC20(quoteToken).forceApprove(address(router), type(uint256).max);
+        emit IPioneLiquidityManager.QuoteTokenAdded(quoteToken, pair);
+    }
+
+    // Lock the LP of future executions in another PinkLock-compatible locker.
+    // Locks of the previous locker stay there: users manage them directly once the manager returned them.
+    function setLpLocker(address _pinklock) external onlyTimelock {
+        require(_pinklock != address(0), "Invalid address");
+        emit IPioneLiquidityManager.LpLockerUpdated(POOL_LOCK, _pinklock);
+        POOL_LOCK = _pinklock;
+    }
+
+    // Set the shortest and longest lock a new request may ask for
+    function setLockDurationLimits(uint256 minDuration, uint256 maxDuration) external onlyTimelock {
+        require(minDuration > 0 && minDuration <= maxDuration, "Invalid lock duration limits");
+        minLockDuration = minDuration;
+        maxLockDuration = maxDuration;
+        emit IPioneLiquidityManager.LockDurationLimitsUpdated(minDuration, maxDuration);
+    }
+
+    // Set the highest slippage, in basis points, users may accept when adding liquidity
+    function setMaxSlippageBps(uint256 maxBps) external onlyTimelock {
+        require(maxBps <= 10000, "Invalid slippage");
+        emit IPioneLiquidityManager.MaxSlippageUpdated(maxSlippageBps, maxBps);
+        maxSlippageBps = maxBps;
+    }
+
+    // Configure the spot price check run before adding liquidity, a maxDeviationBps of 0 disables it
+    function setPriceGuard(IPioneLiquidityManager.PriceGuard calldata guard) external onlyTimelock {
+        require(
+            guard.maxDeviationBps <= 10000 && (guard.maxDeviationBps == 0 ||
+            guard.maxPriceAge > 0 && (guard.priceFeed != address(0) || guard.twapPeriod > 0)),
+            "Invalid price guard"
+        );
+        priceGuard = guard;
+        emit IPioneLiquidityManager.PriceGuardUpdated(guard.priceFeed, guard.twapPeriod, guard.maxPriceAge, guard.maxDeviationBps);
+    }
+
+    // Send a share of the LP minted on every execution to a treasury, a feeBps of 0 disables the fee
+    function setProtocolFee(uint256 feeBps, address treasury) external onlyTimelock {
+        require(feeBps <= MAX_PROTOCOL_FEE_BPS, "Fee too high");
+        require(feeBps == 0 || treasury != address(0), "Invalid address");
+        protocolFeeBps = feeBps;
+        feeTreasury = treasury;
+        emit IPioneLiquidityManager.ProtocolFeeUpdated(treasury, feeBps);
+    }
+
+    // Mirror the per-transfer limits of the bridge so PIO claims outside them fail early with a clear reason
+    // Not timelocked: it has to follow the bridge's own limits as soon as they change, and a wrong value only
+    // rejects claims, which leave the PIO in the user's balance
+    function setBridgeLimits(uint256 minAmount, uint256 maxAmount) external onlyOwner {
+        require(maxAmount == 0 || minAmount <= maxAmount, "Invalid bridge limits");
+        bridgeLimits = IPioneLiquidityManager.BridgeLimits(minAmount, maxAmount);
+        emit IPioneLiquidityManager.BridgeLimitsUpdated(minAmount, maxAmount);
+    }
+
+    // Allow or disallow a deposit input token, address(0) stands for BNB
+    // Quote tokens are owed to users, so they are never swapped away as deposit tokens
+    function setDepositTokenAllowed(address token, bool allowed) external onlyOwner {
+        require(token != USDT_TOKEN && token != PIONE_TOKEN && quotePairs[token] == address(0), "Invalid token");
+        allowedDepositTokens[token] = allowed;
+        emit IPioneLiquidityManager.DepositTokenUpdated(token, allowed);
+    }
+
+    // Withdraw tokens sent to the contract by mistake, never touching what users are owed.
+    // Bridged PIO counts as surplus until its request is created, so PIO rescues wait for the timelock delay.
+    function rescueTokens(address token, address to, uint256 amount) external nonReentrant {
+        if (token == PIONE_TOKEN) {
+            _checkTimelock();
+        } else {
+            _checkOwner();
+        }
+        require(to != address(0), "Invalid recipient");
+        require(amount > 0, "invalid amount");
+        require(amount <= _rescuableAmount(token), "Amount exceeds surplus");
+
+        IERC20(token).safeTransfer(to, amount);
+        emit IPioneLiquidityManager.TokensRescued(token, to, amount, msg.sender);
+    }
+}
@@ -0,0 +1,156 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import { IPancakeFactory } from "./interfaces/IPancakeFactory.sol";
+import { IPancakeRouter02 } from "./interfaces/IPancakeRouter02.sol";
+import { IPioneLiquidityManager } from "./interfaces/IPioneLiquidityManager.sol";
+import { IPioneLiquidityManagerState } from "./interfaces/IPioneLiquidityManagerState.sol";
+import { ClaimQueueLib } from "./libraries/ClaimQueueLib.sol";
+import { RequestLib } from "./libraries/RequestLib.sol";
+import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { AccessControl } from "@openzeppelin/contracts/access/AccessControl.sol";
+import { Initializable } from "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import { ReentrancyGuard } from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import { Pausable } from "@openzeppelin/contracts/utils/Pausable.sol";
+
+// Storage, access checks and shared helpers of PioneLiquidityManager and PioneLiquidityManagerAdmin.
+// Both run on the proxy storage, so all state lives here and neither of them may declare its own.
+// AccessControl, Pausable and ReentrancyGuard are the non-upgradeable OpenZeppelin contracts, so their variables
+// take the first slots of the committed layout. @openzeppelin/contracts is pinned for that reason.
+abstract contract PioneLiquidityManagerBase is
+    IPioneLiquidityManagerState,
+    Initializable,
+    AccessControl,
+    Pausable,
+    ReentrancyGuard
+{
+    using SafeERC20 for IERC20;
+    IPancakeRouter02 public router;
+
+    bytes32 public constant MANAGER_ROLE = keccak256("MANAGER_ROLE");
+    // Held by a TimelockController for the sensitive setters, only a holder of the role can grant it
+    bytes32 public constant TIMELOCK_ROLE = keccak256("TIMELOCK_ROLE");
+    // Hard cap of the protocol fee, 5% of the LP minted
+    uint256 public constant MAX_PROTOCOL_FEE_BPS = 500;
+    address public PIONE_TOKEN;
+    address public USDT_TOKEN;
+    address public LP_PAIR;
+    address public POOL_LOCK;
+    uint256 public PIONECHAIN_ID;
+    address public pioneBridge;
+    address public permit2;
+
+    uint256 internal _minClaimPIOAmount;
+    uint256 public totalPioLiabilities;
+    uint256 public totalUsdtLiabilities;
+    uint256 public minLockDuration;
+    uint256 public maxLockDuration;
+    uint256 public maxSlippageBps;
+    IPioneLiquidityManager.PriceGuard public priceGuard;
+    IPioneLiquidityManager.TwapObservation public twapObservation;
+    mapping(address => RequestLib.UserInfo) internal _userData;
+    mapping(bytes32 => address) internal _usedRequestIds;
+    mapping(address => bool) public allowedDepositTokens;
+    mapping(address account => uint256) public intentNonces;
+    mapping(address account => IPioneLiquidityManager.AutoRefund) public autoRefunds;
+    ClaimQueueLib.Queue internal _pioClaims;
+    // Lock ids restart with every locker, so the account of each lock the manager created is recorded per locker
+    mapping(address locker => mapping(uint256 lockId => address)) internal _lockerAccounts;
+    // Quote tokens registered besides USDT, each paired with PIO in a pool of the router's factory
+    address[] internal _quoteTokens;
+    mapping(address quoteToken => address) public quotePairs;
+    mapping(address quoteToken => uint256) public quoteLiabilities;
+    // Requests without a quote token target the PIO/USDT pair
+    mapping(bytes32 requestId => address) internal _requestQuoteTokens;
+    // Share of the LP minted on every execution that goes to `feeTreasury`, 0 until the owner sets it
+    uint256 public protocolFeeBps;
+    address public feeTreasury;
+    // Checked before every bridgeOut, unlimited until the owner mirrors the bridge configuration
+    IPioneLiquidityManager.BridgeLimits public bridgeLimits;
+    // The locker of every request: the current one when it was created or given a top-up target, then the one holding its lock
+    mapping(bytes32 requestId => address) internal _requestLockers;
+
+    // Modifier checks are private functions so their code is not repeated in every function using them
+    modifier onlyOwner() {
+        _checkOwner();
+        _;
+    }
+
+    modifier onlyManager() {
+        _checkManager();
+        _;
+    }
+
+    modifier onlyTimelock() {
+        _checkTimelock();
+        _;
+    }
+
+    // Get the owner and stored transaction of an existing request
+    function _getTransaction(bytes32 requestId)
+        internal
+        view
+        returns (address account, IPioneLiquidityManager.Transaction storage txn)
+    {
+        account = _usedRequestIds[requestId];
+        require(account != address(0), "RequestId does not exist");
+        txn = _userData[account].transactions[_userData[account]._positions[requestId]];
+    }
+
+    // Credit PIO to a user balance and the global liability
+    function _creditPio(RequestLib.UserInfo storage user, uint256 amount) internal {
+        user.pioBalance += amount;
+        totalPioLiabilities += amount;
+    }
+
+    // Get the PIO pair of a quote token, reverting unless it is USDT or registered
+    function _pairOf(address quoteToken) internal view returns (address pair) {
+        pair = quoteToken == USDT_TOKEN ? LP_PAIR : quotePairs[quoteToken];
+        require(pair != address(0), "Quote token not registered");
+    }
+
+    // Get the amount of a token owed to users, LP tokens are locked on execution so none are owed
+    function _liabilitiesOf(address token) internal view returns (uint256) {
+        if (token == PIONE_TOKEN) return totalPioLiabilities + _pioClaims.totalAmount;
+        if (token == USDT_TOKEN) return totalUsdtLiabilities;
+        return quoteLiabilities[token];
+    }
+
+    // Get how much of a token the owner can rescue: the balance above tracked user liabilities
+    function _rescuableAmount(address token) internal view returns (uint256) {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        uint256 liabilities = _liabilitiesOf(token);
+        return balance > liabilities ? balance - liabilities : 0;
+    }
+
+    // Get the pair of PIO and a quote token in a router's factory
+    function _getPair(address _router, address quoteToken) internal view returns (address) {
+        return IPancakeFactory(IPancakeRouter02(_router).factory()).getPair(PIONE_TOKEN, quoteToken);
+    }
+
+    // Approve router to spend PIONE, USDT and the registered quote tokens
+    function _approveRouter(address _router, uint256 value) internal returns (bool) {
+        IERC20(PIONE_TOKEN).approve(_router, value);
+        IERC20(USDT_TOKEN).approve(_router, value);
+        for (uint256 i = 0; i < _quoteTokens.length; i++) {
+            IERC20(_quoteTokens[i]).forceApprove(_router, value);
+        }
+        return true;
+    }
+
+    // Revert unless the caller is an owner
+    function _checkOwner() internal view {
+        require(hasRole(DEFAULT_ADMIN_ROLE, msg.sender), "Not owner");
+    }
+
+    // Revert unless the caller is a manager
+    function _checkManager() private view {
+        require(hasRole(MANAGER_ROLE, msg.sender), "Not manager");
+    }
+
+    // Revert unless the caller is the timelock
+    function _checkTimelock() internal view {
+        require(hasRole(TIMELOCK_ROLE, msg.sender), "Not timelock");
+    }
+}
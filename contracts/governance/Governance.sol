@@ -0,0 +1,5 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+// Compiled so tests and Ignition can deploy the TimelockController holding the manager's TIMELOCK_ROLE
+import { TimelockController } from "@openzeppelin/contracts/governance/TimelockController.sol";
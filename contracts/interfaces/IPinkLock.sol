@@ -2,6 +2,20 @@
 pragma solidity >=0.8.4;
 
 interface IPinkLock {
+    struct Lock {
+        uint256 id;
+        address token;
+        address owner;
+        uint256 amount;
+        uint256 lockDate;
+        uint256 tgeDate;
+        uint256 tgeBps;
+        uint256 cycle;
+        uint256 cycleBps;
+        uint256 unlockedAmount;
+        string description;
+    }
+
     function lock(
         address owner,
         address token,
@@ -42,4 +56,8 @@ interface IPinkLock {
         uint256 newAmount,
         uint256 newUnlockDate
     ) external;
-}
\ No newline at end of file
+
+    function transferLockOwnership(uint256 lockId, address newOwner) external;
+
+    function getLockById(uint256 lockId) external view returns (Lock memory);
+}
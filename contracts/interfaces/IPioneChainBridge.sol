@@ -55,6 +55,13 @@ interface IPioneChainBridge {
      */
     function processedTransactions(bytes32 _requestId) external view returns (bool);
 
+    /**
+     * @notice Returns the payload of an inbound request released on this chain
+     * @param _requestId Request ID to look up
+     * @return The recorded bridge request, zeroed if the request is unknown
+     */
+    function getBridgeRequest(bytes32 _requestId) external view returns (BridgeRequest memory);
+
     /**
      * @notice Returns the remaining amount that may be bridged out today
      * @return Remaining daily limit
@@ -1,18 +1,112 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
-interface IPioneLiquidityManager {
+import { IPioneLiquidityManagerState } from "./IPioneLiquidityManagerState.sol";
+import { ISignatureTransfer } from "./ISignatureTransfer.sol";
+
+interface IPioneLiquidityManager is IPioneLiquidityManagerState {
+    enum RequestStatus {
+        Created,
+        Funded,
+        Executed,
+        Locked,
+        Cancelled,
+        Expired
+    }
+
+    struct VestingSchedule {
+        uint256 tgeDate;
+        uint256 tgeBps;
+        uint256 cycle;
+        uint256 cycleBps;
+    }
+
+    struct Transaction {
+        uint256 pioAmount;
+        uint256 usdtAmount;
+        uint256 liquidityAmount;
+        bool depositUSDT;
+        uint256 pinkLockId;
+        uint256 lockMonths;
+        uint256 unlockDate;
+        uint256 expiresAt;
+        RequestStatus status;
+        VestingSchedule vesting;
+    }
+
+    // Leftovers of an execution to pay out right away instead of keeping them in the balances
+    struct AutoRefund {
+        bool usdt;
+        bool pio;
+    }
+
+    // PIO taken from the balance of `account`, waiting to be bridged to `recipient`
+    struct PioClaim {
+        address account;
+        address recipient;
+        uint256 amount;
+    }
+
+    // Signed by `account` so a relayer can deposit the USDT and add liquidity for it
+    struct LiquidityIntent {
+        bytes32 requestId;
+        address account;
+        uint256 maxSlippageBps;
+        uint256 deadline;
+        uint256 nonce;
+    }
+
+    // Spot price check before adding liquidity, a maxDeviationBps of 0 disables it
+    struct PriceGuard {
+        address priceFeed; // Chainlink-style PIO/USD feed, address(0) compares against the pair TWAP
+        uint32 twapPeriod; // shortest time averaged by updateTwap
+        uint32 maxPriceAge; // oldest TWAP or feed answer accepted
+        uint16 maxDeviationBps;
+    }
+
+    // Per-transfer limits of the bridge, mirrored from its configuration since the bridge has no getters for them
+    struct BridgeLimits {
+        uint256 minAmount;
+        uint256 maxAmount; // 0 for no maximum
+    }
+
+    struct TwapObservation {
+        uint256 priceCumulative;
+        uint256 price; // average USDT per PIO as a raw token ratio scaled by 1e18
+        uint32 timestamp;
+    }
+
     event UserDepositUSDT(bytes32 indexed requestId, address indexed user, uint256 amount);
     event BridgeCompleted(bytes32 indexed requestId, address indexed user, uint256 index);
+    event LiquidityRequestCreated(bytes32 indexed requestId, address indexed user, uint256 amountPIO, uint256 amountUSDT, uint256 lockMonths);
     event ClaimedPIOtoPioneChain(bytes32 indexed requestId, address indexed user, uint256 amount);
     event ClaimedUSDT(address indexed account, uint256 amount);
+    event ClaimedPIOtoPioneChainTo(
+        bytes32 indexed requestId,
+        address indexed user,
+        address indexed recipient,
+        uint256 amount
+    );
+    event ClaimedUSDTTo(address indexed account, address indexed recipient, uint256 amount);
+    event AutoRefundUpdated(address indexed account, bool usdt, bool pio);
+    event PioClaimQueued(uint256 indexed claimId, address indexed account, address indexed recipient, uint256 amount);
+    event PioClaimProcessed(
+        uint256 indexed claimId,
+        bytes32 indexed requestId,
+        address indexed account,
+        address recipient,
+        uint256 amount
+    );
+    event PioClaimCancelled(uint256 indexed claimId, address indexed account, uint256 amount);
     event LiquidityAdded(
         address indexed user,
         bytes32 indexed requestId,
         uint256 pioAmount,
         uint256 usdtAmount,
         uint256 liquidity,
-        uint256 slippage
+        uint256 slippage, // percent, rounded down for basis-point slippage
+        uint256 slippageBps,
+        uint256 feeLiquidity
     );
     event LiquidityLocked(
         address indexed user,
@@ -21,9 +115,68 @@ interface IPioneLiquidityManager {
         uint256 liquidity,
         uint256 unlockDate
     );
+    event DepositSwapped(
+        bytes32 indexed requestId,
+        address indexed user,
+        address indexed tokenIn,
+        uint256 amountIn,
+        uint256 usdtReceived
+    );
+    event LockTopUpTargetUpdated(bytes32 indexed requestId, address indexed user, uint256 lockId);
+    event LockToppedUp(
+        bytes32 indexed requestId,
+        address indexed user,
+        uint256 indexed lockId,
+        uint256 liquidity,
+        uint256 lockAmount,
+        uint256 unlockDate
+    );
+    event LockExtended(bytes32 indexed requestId, address indexed user, uint256 indexed lockId, uint256 unlockDate);
+    event LockReturned(address indexed pinkLock, uint256 indexed lockId, address indexed user);
+    event ZapSwapped(
+        bytes32 indexed requestId,
+        address indexed user,
+        uint256 pioSwapped,
+        uint256 usdtReceived,
+        uint256 minUsdtOut
+    );
+    event LiquidityIntentExecuted(bytes32 indexed requestId, address indexed user, address indexed relayer, uint256 nonce);
+    event BridgeCompletedSkipped(bytes32 indexed requestId, address indexed account, string reason);
+    event RequestCancelled(bytes32 indexed requestId, address indexed user, address indexed cancelledBy);
+    event RequestStatusChanged(bytes32 indexed requestId, address indexed user, RequestStatus status);
+    event RequestExpiryUpdated(bytes32 indexed requestId, uint256 expiresAt);
+    event RequestVestingUpdated(
+        bytes32 indexed requestId,
+        uint256 tgeDate,
+        uint256 tgeBps,
+        uint256 cycle,
+        uint256 cycleBps
+    );
+    event TokensRescued(address indexed token, address indexed to, uint256 amount, address indexed operator);
     event UpdatedMinClaimPIOAmount(uint256 oldAmount, uint256 newAmount);
     event PioneBridgeUpdated(address indexed oldAddress, address indexed newAddress);
+    event Permit2Updated(address indexed oldAddress, address indexed newAddress);
+    event RouterUpdated(address indexed oldAddress, address indexed newAddress);
+    event LpLockerUpdated(address indexed oldAddress, address indexed newAddress);
+    event QuoteTokenAdded(address indexed quoteToken, address indexed pair);
+    event RequestPairSet(bytes32 indexed requestId, address indexed quoteToken, address indexed pair);
+    event ClaimedQuoteToken(address indexed account, address indexed recipient, address indexed quoteToken, uint256 amount);
+    event DepositTokenUpdated(address indexed token, bool allowed);
+    event LockDurationLimitsUpdated(uint256 minDuration, uint256 maxDuration);
+    event MaxSlippageUpdated(uint256 oldBps, uint256 newBps);
+    event PriceGuardUpdated(address indexed priceFeed, uint32 twapPeriod, uint32 maxPriceAge, uint16 maxDeviationBps);
+    event TwapUpdated(uint256 price, uint32 timestamp);
+    event ProtocolFeeUpdated(address indexed treasury, uint256 feeBps);
+    event BridgeLimitsUpdated(uint256 minAmount, uint256 maxAmount);
 
+    function initialize(
+        address pioneToken,
+        address usdtToken,
+        address pioneBridge,
+        address router,
+        address pinklock,
+        uint256 targetChain
+    ) external;
     function handleBridgeCompleted(
         bytes32 requestId,
         address account,
@@ -31,18 +184,123 @@ interface IPioneLiquidityManager {
         uint256 amountUSDT,
         uint256 lockMonths
     ) external;
+    function handleBridgeCompletedWithUnlockDate(
+        bytes32 requestId,
+        address account,
+        uint256 amountPIO,
+        uint256 amountUSDT,
+        uint256 unlockDate
+    ) external;
+    function handleBridgeCompletedForPair(
+        bytes32 requestId,
+        address account,
+        uint256 amountPIO,
+        address quoteToken,
+        uint256 amountQuote,
+        uint256 lockMonths
+    ) external;
+    function handleBridgeCompletedBatch(
+        bytes32[] calldata requestIds,
+        address[] calldata accounts,
+        uint256[] calldata amountsPIO,
+        uint256[] calldata amountsUSDT,
+        uint256[] calldata lockMonths,
+        bool skipInvalid
+    ) external returns (uint256 processed);
+    function handleBridgeCompletedBatchForPair(
+        bytes32[] calldata requestIds,
+        address[] calldata accounts,
+        uint256[] calldata amountsPIO,
+        address[] calldata quoteTokens,
+        uint256[] calldata amountsQuote,
+        uint256[] calldata lockMonths,
+        bool skipInvalid
+    ) external returns (uint256 processed);
 
     function depositUSDT(bytes32 requestId) external returns (bool);
+    function depositUSDTWithPermit(bytes32 requestId, uint256 deadline, uint8 v, bytes32 r, bytes32 s)
+        external
+        returns (bool);
+    function depositUSDTWithPermit2(
+        bytes32 requestId,
+        ISignatureTransfer.PermitTransferFrom calldata permit,
+        bytes calldata signature
+    ) external returns (bool);
+    function depositWithToken(
+        bytes32 requestId,
+        address tokenIn,
+        uint256 amountIn,
+        uint256 minUsdtOut,
+        uint256 deadline
+    ) external payable returns (bool);
     function addLiquidity(
         bytes32 requestId,
         uint256 slippagePercent
     ) external returns (bool);
+    function addLiquidity(
+        bytes32 requestId,
+        uint256 slippageBps,
+        uint256 deadline,
+        uint256 amountPioMin,
+        uint256 amountUsdtMin
+    ) external returns (bool);
+    function depositAndAddLiquidity(
+        bytes32 requestId,
+        uint256 slippageBps,
+        uint256 deadline,
+        uint256 amountPioMin,
+        uint256 amountUsdtMin,
+        bool refundToWallet
+    ) external returns (bool);
+    function executeLiquidityIntent(LiquidityIntent calldata intent, bytes calldata signature) external returns (bool);
+    function zapAddLiquidity(
+        bytes32 requestId,
+        uint256 minUsdtOut,
+        uint256 slippagePercent,
+        uint256 deadline
+    ) external returns (bool);
+    function cancelRequest(bytes32 requestId) external returns (bool);
+    function setRequestExpiry(bytes32 requestId, uint256 expiresAt) external;
+    function setRequestVesting(bytes32 requestId, VestingSchedule calldata vesting) external;
+    function setRequestTopUpLock(bytes32 requestId, uint256 lockId) external;
+    function extendLock(bytes32 requestId, uint256 newUnlockDate) external;
+    function returnLock(address pinkLock, uint256 lockId) external;
 
     function claimUSDT(uint256 amount) external returns (bool);
     function claimPioToPioneChain(uint256 amount) external returns (bool);
+    function claimUSDTTo(uint256 amount, address recipient) external returns (bool);
+    function claimPioToPioneChainTo(uint256 amount, address recipient) external returns (bool);
+    function claimQuoteToken(address quoteToken, uint256 amount, address recipient) external returns (bool);
+    function setAutoRefund(bool refundUsdt, bool refundPio) external;
+    function queuePioClaim(uint256 amount, address recipient) external returns (uint256 claimId);
+    function processPioClaims(uint256 maxClaims) external returns (uint256 processed);
+    function cancelPioClaim(uint256 claimId) external;
+    function getPioClaim(uint256 claimId) external view returns (PioClaim memory claim, uint256 position);
+    function getPioClaimQueue() external view returns (uint256 head, uint256 tail, uint256 totalAmount);
+    function getPendingPioClaims(address account) external view returns (uint256);
     function getOptimalAmountUSDT(uint256 pioAmount) external view returns (uint256 optimalUsdtAmount);
     function getOptimalAmountPIO(uint256 usdtAmount) external view returns (uint256 optimalPioAmount);
+    function getOptimalAmountQuote(address quoteToken, uint256 pioAmount) external view returns (uint256 optimalQuoteAmount);
+    function getOptimalAmountPIO(address quoteToken, uint256 quoteAmount) external view returns (uint256 optimalPioAmount);
     function setMinClaimPIOAmount(uint256 minAmount) external;
+    function setDepositTokenAllowed(address token, bool allowed) external;
+    function setLockDurationLimits(uint256 minDuration, uint256 maxDuration) external;
+    function setMaxSlippageBps(uint256 maxBps) external;
+    function setPermit2(address permit2) external;
+    function setPriceGuard(PriceGuard calldata guard) external;
+    function setProtocolFee(uint256 feeBps, address treasury) external;
+    function setBridgeLimits(uint256 minAmount, uint256 maxAmount) external;
+    function setPioneBridge(address pioneBridge) external;
+    function setRouter(address router) external;
+    function addQuoteToken(address quoteToken) external;
+    function setLpLocker(address pinkLock) external;
+    function updateTwap() external;
+    function getPriceDeviation()
+        external
+        view
+        returns (uint256 spotPrice, uint256 referencePrice, uint256 deviationBps);
+    function rescueTokens(address token, address to, uint256 amount) external;
+    function getRescuableAmount(address token) external view returns (uint256);
     function previewAddLiquidity(uint256 pioneAmount, uint256 usdtAmount)
         external
         view
@@ -51,9 +309,24 @@ interface IPioneLiquidityManager {
             uint256 actualUsdtAmount,
             uint256 estimatedLiquidity,
             uint256 refundPio,
-            uint256 refundUsdt
+            uint256 refundUsdt,
+            uint256 feeLiquidity
         );
+    function previewZap(uint256 pioAmount) external view returns (uint256 swapAmount, uint256 usdtOut);
     function getReserves() external view returns (uint256 reserveUsdt, uint256 reservePione);
+    function previewAddLiquidity(address quoteToken, uint256 pioneAmount, uint256 quoteAmount)
+        external
+        view
+        returns (
+            uint256 actualPioAmount,
+            uint256 actualQuoteAmount,
+            uint256 estimatedLiquidity,
+            uint256 refundPio,
+            uint256 refundQuote,
+            uint256 feeLiquidity
+        );
+    function previewZap(address quoteToken, uint256 pioAmount) external view returns (uint256 swapAmount, uint256 quoteOut);
+    function getReserves(address quoteToken) external view returns (uint256 reserveQuote, uint256 reservePione);
     function getTransactionInfo(bytes32 requestId)
         external
         view
@@ -63,16 +336,27 @@ interface IPioneLiquidityManager {
             uint256 liquidityAmount,
             bool _depositUSDT,
             uint256 pinkLockId,
-            uint256 lockMonths
+            uint256 lockMonths,
+            uint256 unlockDate,
+            uint256 expiresAt,
+            RequestStatus status,
+            VestingSchedule memory vesting
         );
+    function getRequestStatus(bytes32 requestId) external view returns (RequestStatus);
     function getUserBalances(address account) external view returns (uint256 pioBalance, uint256 usdtBalance);
+    function getQuoteBalance(address account, address quoteToken) external view returns (uint256);
+    function getRequestQuoteToken(bytes32 requestId) external view returns (address);
+    function getQuoteTokens() external view returns (address[] memory);
+    function getUserTotalLiquidity(address account) external view returns (uint256);
+    function getUserTransactionCount(address account) external view returns (uint256);
+    function getUserTransactions(address account, uint256 offset, uint256 limit)
+        external
+        view
+        returns (bytes32[] memory requestIds, Transaction[] memory transactions);
+    function checkSolvency() external view returns (bool solvent, uint256 pioHeld, uint256 usdtHeld);
     function getRequestIdOwner(bytes32 requestId) external view returns (address);
+    function getRequestLocker(bytes32 requestId) external view returns (address);
     function getMinClaimPIOAmount() external view returns (uint256);
-
-    function MANAGER_ROLE() external view returns (bytes32);
-    function PIONE_TOKEN() external view returns (address);
-    function USDT_TOKEN() external view returns (address);
-    function LP_PAIR() external view returns (address);
-    function POOL_LOCK() external view returns (address);
-    function pioneBridge() external view returns (address);
+    function DOMAIN_SEPARATOR() external view returns (bytes32);
+    function ADMIN_MODULE() external view returns (address);
 }
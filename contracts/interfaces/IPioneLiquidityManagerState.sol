@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// Getters of the public state variables of PioneLiquidityManagerBase.
+// Kept apart from IPioneLiquidityManager so the base can implement them while the manager implements the rest.
+interface IPioneLiquidityManagerState {
+    function MANAGER_ROLE() external view returns (bytes32);
+    function TIMELOCK_ROLE() external view returns (bytes32);
+    function MAX_PROTOCOL_FEE_BPS() external view returns (uint256);
+    function PIONE_TOKEN() external view returns (address);
+    function USDT_TOKEN() external view returns (address);
+    function LP_PAIR() external view returns (address);
+    function POOL_LOCK() external view returns (address);
+    function pioneBridge() external view returns (address);
+    function permit2() external view returns (address);
+    function totalPioLiabilities() external view returns (uint256);
+    function totalUsdtLiabilities() external view returns (uint256);
+    function minLockDuration() external view returns (uint256);
+    function maxLockDuration() external view returns (uint256);
+    function maxSlippageBps() external view returns (uint256);
+    function priceGuard()
+        external
+        view
+        returns (address priceFeed, uint32 twapPeriod, uint32 maxPriceAge, uint16 maxDeviationBps);
+    function twapObservation() external view returns (uint256 priceCumulative, uint256 price, uint32 timestamp);
+    function intentNonces(address account) external view returns (uint256);
+    function allowedDepositTokens(address token) external view returns (bool);
+    function autoRefunds(address account) external view returns (bool usdt, bool pio);
+    function quotePairs(address quoteToken) external view returns (address);
+    function quoteLiabilities(address quoteToken) external view returns (uint256);
+    function protocolFeeBps() external view returns (uint256);
+    function feeTreasury() external view returns (address);
+    function bridgeLimits() external view returns (uint256 minAmount, uint256 maxAmount);
+}
@@ -0,0 +1,136 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import { IPioneChainBridge } from "../interfaces/IPioneChainBridge.sol";
+import { IPioneLiquidityManager } from "../interfaces/IPioneLiquidityManager.sol";
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+// PIO claims bridged back to Pione Chain for PioneLiquidityManager: bridge limit checks and a FIFO queue for claims
+// the bridge cannot take yet. Linked like LPLockLib; queued PIO is already taken out of the user balances.
+library ClaimQueueLib {
+    using SafeERC20 for IERC20;
+
+    struct Queue {
+        uint256 head;
+        uint256 tail;
+        uint256 totalAmount;
+        mapping(uint256 claimId => IPioneLiquidityManager.PioClaim) claims;
+        mapping(address account => uint256) pending;
+    }
+
+    // Check that one bridgeOut of `amount` fits the mirrored transfer limits and what is left of the bridge daily limit
+    function checkBridgeOut(
+        address bridge,
+        IPioneLiquidityManager.BridgeLimits storage limits,
+        uint256 amount
+    ) public view returns (string memory) {
+        string memory reason = checkTransferLimits(limits, amount);
+        if (bytes(reason).length != 0) return reason;
+        if (amount > IPioneChainBridge(bridge).getRemainingDailyLimit()) return "Bridge daily limit reached";
+        return "";
+    }
+
+    // Check `amount` against the per-transfer limits mirrored from the bridge
+    function checkTransferLimits(
+        IPioneLiquidityManager.BridgeLimits storage limits,
+        uint256 amount
+    ) private view returns (string memory) {
+        if (amount < limits.minAmount) return "Below bridge minimum";
+        if (limits.maxAmount != 0 && amount > limits.maxAmount) return "Above bridge maximum";
+        return "";
+    }
+
+    // Bridge `amount` of PIO to `recipient`, reverting with a clear reason when the bridge limits do not allow it
+    function bridgeOut(
+        address token,
+        address bridge,
+        IPioneLiquidityManager.BridgeLimits storage limits,
+        uint256 targetChain,
+        address recipient,
+        uint256 amount
+    ) public returns (bytes32) {
+        string memory reason = checkBridgeOut(bridge, limits, amount);
+        require(bytes(reason).length == 0, reason);
+        return _bridgeOut(token, bridge, targetChain, recipient, amount);
+    }
+
+    // The bridge pulls the PIO it sends, so approve exactly `amount` for each transfer
+    function _bridgeOut(
+        address token,
+        address bridge,
+        uint256 targetChain,
+        address recipient,
+        uint256 amount
+    ) private returns (bytes32) {
+        IERC20(token).forceApprove(bridge, amount);
+        return IPioneChainBridge(bridge).bridgeOut(recipient, amount, targetChain);
+    }
+
+    // Queue a claim to be bridged once the daily limit allows it, claims outside the per-transfer limits never would be
+    function enqueue(
+        Queue storage queue,
+        IPioneLiquidityManager.BridgeLimits storage limits,
+        address account,
+        address recipient,
+        uint256 amount
+    ) public returns (uint256 claimId) {
+        string memory reason = checkTransferLimits(limits, amount);
+        require(bytes(reason).length == 0, reason);
+
+        claimId = queue.tail++;
+        queue.claims[claimId] = IPioneLiquidityManager.PioClaim(account, recipient, amount);
+        queue.pending[account] += amount;
+        queue.totalAmount += amount;
+
+        emit IPioneLiquidityManager.PioClaimQueued(claimId, account, recipient, amount);
+    }
+
+    // Bridge queued claims in order until `maxClaims` slots were passed or the next claim does not fit the bridge limits
+    // Cancelled slots count against `maxClaims`, so a run of them cannot make one call scan an unbounded range
+    function process(
+        Queue storage queue,
+        address token,
+        address bridge,
+        IPioneLiquidityManager.BridgeLimits storage limits,
+        uint256 targetChain,
+        uint256 maxClaims
+    ) public returns (uint256 processed) {
+        uint256 head = queue.head;
+        uint256 end = queue.tail;
+        if (end - head > maxClaims) end = head + maxClaims;
+        for (; head < end; head++) {
+            IPioneLiquidityManager.PioClaim memory claim = queue.claims[head];
+            // Cancelled claims leave an empty slot
+            if (claim.amount == 0) continue;
+            if (bytes(checkBridgeOut(bridge, limits, claim.amount)).length != 0) break;
+
+            delete queue.claims[head];
+            queue.pending[claim.account] -= claim.amount;
+            queue.totalAmount -= claim.amount;
+            bytes32 requestId = _bridgeOut(token, bridge, targetChain, claim.recipient, claim.amount);
+            processed++;
+
+            emit IPioneLiquidityManager.PioClaimProcessed(head, requestId, claim.account, claim.recipient, claim.amount);
+        }
+        queue.head = head;
+    }
+
+    // Remove a queued claim for its owner, or for a manager when it blocks the queue, and return what it held
+    function cancel(
+        Queue storage queue,
+        uint256 claimId,
+        bool isManager
+    ) public returns (address account, uint256 amount) {
+        IPioneLiquidityManager.PioClaim memory claim = queue.claims[claimId];
+        require(claim.amount > 0, "Claim not queued");
+        require(msg.sender == claim.account || isManager, "Not the owner of this claim");
+        (account, amount) = (claim.account, claim.amount);
+
+        delete queue.claims[claimId];
+        queue.pending[account] -= amount;
+        queue.totalAmount -= amount;
+
+        emit IPioneLiquidityManager.PioClaimCancelled(claimId, account, amount);
+    }
+}
@@ -0,0 +1,242 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import { IPinkLock } from "../interfaces/IPinkLock.sol";
+import { IPioneLiquidityManager } from "../interfaces/IPioneLiquidityManager.sol";
+import { RequestLib } from "./RequestLib.sol";
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { Math } from "@openzeppelin/contracts/utils/math/Math.sol";
+
+// PinkLock helpers for PioneLiquidityManager, deployed once and linked so the manager stays below the contract size limit
+library LPLockLib {
+
+    // Lock a request's new LP in PinkLock, gradually through vestingLock when the request has a vesting schedule,
+    // or on top of the user's existing lock when the request targets one.
+    // Month-based requests unlock 30 days per month after execution, others at their stored unlock date.
+    function lockRequest(
+        RequestLib.UserInfo storage user,
+        mapping(uint256 lockId => address) storage lockAccounts,
+        mapping(bytes32 requestId => address) storage requestLockers,
+        uint256 position,
+        uint256 liquidity,
+        address pinkLock,
+        address lpToken,
+        address account,
+        bytes32 requestId
+    ) public {
+        IPioneLiquidityManager.Transaction storage txn = user.transactions[position];
+        IPioneLiquidityManager.VestingSchedule memory vesting = txn.vesting;
+        uint256 unlockDate = txn.unlockDate != 0 ? txn.unlockDate : block.timestamp + (30 days * txn.lockMonths);
+        if (hasVesting(vesting)) {
+            unlockDate = vesting.tgeDate;
+        } else {
+            require(unlockDate > block.timestamp, "Unlock date passed");
+        }
+
+        uint256 lockId = txn.pinkLockId;
+        if (lockId != 0) {
+            uint256 lockAmount;
+            (lockAmount, unlockDate) = topUp(pinkLock, lpToken, lockId, liquidity, unlockDate, account);
+            _syncUnlockDate(user, requestLockers, pinkLock, lockId, unlockDate);
+            emit IPioneLiquidityManager.LockToppedUp(requestId, account, lockId, liquidity, lockAmount, unlockDate);
+        } else {
+            lockId = lock(pinkLock, lpToken, account, liquidity, unlockDate, vesting);
+            txn.pinkLockId = lockId;
+            lockAccounts[lockId] = account;
+        }
+        txn.unlockDate = unlockDate;
+        RequestLib.setStatus(txn, requestId, account, IPioneLiquidityManager.RequestStatus.Locked);
+
+        emit IPioneLiquidityManager.LiquidityLocked(account, requestId, lockId, liquidity, unlockDate);
+    }
+
+    // Push back the unlock date of a locked request's lock handed over to the manager, then return it to its owner.
+    // `lockAccount` is who the manager created the lock for in `pinkLock`, the request's lock may be in a previous locker.
+    function extendRequest(
+        RequestLib.UserInfo storage user,
+        mapping(bytes32 requestId => address) storage requestLockers,
+        IPioneLiquidityManager.Transaction storage txn,
+        address pinkLock,
+        bytes32 requestId,
+        uint256 newUnlockDate,
+        address lockAccount
+    ) public {
+        require(txn.status == IPioneLiquidityManager.RequestStatus.Locked, "Liquidity not locked");
+        require(lockAccount == msg.sender, "Not the owner of this lock");
+
+        uint256 lockId = txn.pinkLockId;
+        extend(pinkLock, lockId, newUnlockDate, msg.sender);
+        _syncUnlockDate(user, requestLockers, pinkLock, lockId, newUnlockDate);
+
+        emit IPioneLiquidityManager.LockExtended(requestId, msg.sender, lockId, newUnlockDate);
+    }
+
+    // Make a pending request lock its LP with a PinkLock vesting schedule, an all-zero schedule restores the cliff lock.
+    // The first release must respect the shortest lock and the last one the longest.
+    function setVesting(
+        IPioneLiquidityManager.Transaction storage txn,
+        bytes32 requestId,
+        IPioneLiquidityManager.VestingSchedule memory vesting,
+        uint256 minDuration,
+        uint256 maxDuration
+    ) public {
+        RequestLib.requirePending(txn);
+        if (hasVesting(vesting)) {
+            require(txn.pinkLockId == 0, "Request tops up a lock");
+            validateVesting(vesting);
+            require(
+                vesting.tgeDate >= block.timestamp + minDuration && vestingEnd(vesting) <= block.timestamp + maxDuration,
+                "Lock duration out of range"
+            );
+        } else {
+            require(vesting.tgeBps == 0 && vesting.cycle == 0 && vesting.cycleBps == 0, "Invalid vesting schedule");
+        }
+        txn.vesting = vesting;
+
+        emit IPioneLiquidityManager.RequestVestingUpdated(
+            requestId,
+            vesting.tgeDate,
+            vesting.tgeBps,
+            vesting.cycle,
+            vesting.cycleBps
+        );
+    }
+
+    // Make a pending request top up `lockId`, created by the manager for the caller, 0 clears the target
+    function setTopUpTarget(
+        IPioneLiquidityManager.Transaction storage txn,
+        bytes32 requestId,
+        uint256 lockId,
+        address lockAccount
+    ) public {
+        RequestLib.requirePending(txn);
+        if (lockId != 0) {
+            require(lockAccount == msg.sender, "Not the owner of this lock");
+            require(!hasVesting(txn.vesting), "Vesting request cannot top up a lock");
+        }
+        txn.pinkLockId = lockId;
+
+        emit IPioneLiquidityManager.LockTopUpTargetUpdated(requestId, msg.sender, lockId);
+    }
+
+    // Check whether a vesting schedule is set, an all-zero schedule means a cliff lock
+    function hasVesting(IPioneLiquidityManager.VestingSchedule memory vesting) internal pure returns (bool) {
+        return vesting.tgeDate != 0;
+    }
+
+    // Get when the last share of a vesting schedule is released
+    function vestingEnd(IPioneLiquidityManager.VestingSchedule memory vesting) internal pure returns (uint256) {
+        return vesting.tgeDate + Math.ceilDiv(10_000 - vesting.tgeBps, vesting.cycleBps) * vesting.cycle;
+    }
+
+    // Revert unless PinkLock would accept the schedule
+    function validateVesting(IPioneLiquidityManager.VestingSchedule memory vesting) public view {
+        require(vesting.tgeDate > block.timestamp, "TGE date must be in the future");
+        require(vesting.cycle > 0, "Invalid vesting cycle");
+        require(vesting.tgeBps > 0 && vesting.tgeBps < 10_000, "Invalid TGE bps");
+        require(vesting.cycleBps > 0 && vesting.cycleBps < 10_000, "Invalid cycle bps");
+        require(vesting.tgeBps + vesting.cycleBps <= 10_000, "TGE and cycle bps exceed 10000");
+    }
+
+    // Lock LP tokens for `owner`, as a vesting lock when a schedule is set, otherwise until `unlockDate`
+    function lock(
+        address pinkLock,
+        address lpToken,
+        address owner,
+        uint256 amount,
+        uint256 unlockDate,
+        IPioneLiquidityManager.VestingSchedule memory vesting
+    ) public returns (uint256 lockId) {
+        IERC20(lpToken).approve(pinkLock, amount);
+        string memory description = string(abi.encodePacked('{"l": "PIO LP Locker ', _getLastSixChars(owner), '"}'));
+
+        if (!hasVesting(vesting)) {
+            return IPinkLock(pinkLock).lock(owner, lpToken, true, amount, unlockDate, description);
+        }
+        validateVesting(vesting);
+        return IPinkLock(pinkLock).vestingLock(
+            owner,
+            lpToken,
+            true,
+            amount,
+            vesting.tgeDate,
+            vesting.tgeBps,
+            vesting.cycle,
+            vesting.cycleBps,
+            description
+        );
+    }
+
+    // Add LP to a lock handed over to the manager, pushing its unlock date to at least `minUnlockDate`, then return it to `owner`
+    function topUp(
+        address pinkLock,
+        address lpToken,
+        uint256 lockId,
+        uint256 amount,
+        uint256 minUnlockDate,
+        address owner
+    ) public returns (uint256 newAmount, uint256 unlockDate) {
+        IPinkLock.Lock memory current = _heldLock(pinkLock, lockId);
+        require(current.token == lpToken, "Lock holds another token");
+        newAmount = current.amount + amount;
+        unlockDate = current.tgeDate < minUnlockDate ? minUnlockDate : current.tgeDate;
+
+        IERC20(lpToken).approve(pinkLock, amount);
+        IPinkLock(pinkLock).editLock(lockId, newAmount, unlockDate == current.tgeDate ? 0 : unlockDate);
+        IPinkLock(pinkLock).transferLockOwnership(lockId, owner);
+    }
+
+    // Push back the unlock date of a lock handed over to the manager, then return it to `owner`
+    function extend(address pinkLock, uint256 lockId, uint256 newUnlockDate, address owner) public {
+        _heldLock(pinkLock, lockId);
+        IPinkLock(pinkLock).editLock(lockId, 0, newUnlockDate);
+        IPinkLock(pinkLock).transferLockOwnership(lockId, owner);
+    }
+
+    // Return a lock handed over to the manager without editing it
+    function release(address pinkLock, uint256 lockId, address owner) public {
+        _heldLock(pinkLock, lockId);
+        IPinkLock(pinkLock).transferLockOwnership(lockId, owner);
+    }
+
+    // Record a new unlock date on every locked request of the user that shares the lock.
+    // Lock ids restart with every locker, so only requests locked in `pinkLock` share it.
+    function _syncUnlockDate(
+        RequestLib.UserInfo storage user,
+        mapping(bytes32 requestId => address) storage requestLockers,
+        address pinkLock,
+        uint256 lockId,
+        uint256 unlockDate
+    ) private {
+        for (uint256 i = 0; i < user.transactions.length; i++) {
+            IPioneLiquidityManager.Transaction storage txn = user.transactions[i];
+            if (
+                txn.pinkLockId == lockId &&
+                txn.status == IPioneLiquidityManager.RequestStatus.Locked &&
+                requestLockers[user.requestIds[i]] == pinkLock
+            ) {
+                txn.unlockDate = unlockDate;
+            }
+        }
+    }
+
+    // PinkLock only lets the lock owner edit it, so the user transfers the lock to the manager first
+    function _heldLock(address pinkLock, uint256 lockId) private view returns (IPinkLock.Lock memory lockInfo) {
+        lockInfo = IPinkLock(pinkLock).getLockById(lockId);
+        require(lockInfo.owner == address(this), "Lock not transferred to manager");
+    }
+
+    // Get last 6 hex characters of address
+    function _getLastSixChars(address account) private pure returns (string memory) {
+        bytes memory hexChars = "0123456789abcdef";
+        bytes memory result = new bytes(6);
+
+        uint160 addr = uint160(account);
+        for (uint i = 0; i < 3; i++) {
+            uint8 byteValue = uint8(addr >> (8 * (2 - i)));
+            result[i * 2] = hexChars[byteValue >> 4];
+            result[i * 2 + 1] = hexChars[byteValue & 0x0f];
+        }
+        return string(result);
+    }
+}
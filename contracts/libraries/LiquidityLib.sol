@@ -0,0 +1,227 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import { IPancakeRouter02 } from "../interfaces/IPancakeRouter02.sol";
+import { IPancakePair } from "../interfaces/IPancakePair.sol";
+import { IAggregatorV3 } from "../interfaces/IAggregatorV3.sol";
+import { IPioneLiquidityManager } from "../interfaces/IPioneLiquidityManager.sol";
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { IERC20Metadata } from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import { Math } from "@openzeppelin/contracts/utils/math/Math.sol";
+
+// PancakeSwap helpers for PioneLiquidityManager, linked like LPLockLib to keep the manager below the size limit.
+// Tokens must already be held and approved by the manager, which keeps track of user balances.
+library LiquidityLib {
+
+    // PancakeSwap v2 keeps 0.25% of every swap input
+    uint256 private constant SWAP_FEE_BPS = 25;
+
+    // Add PIO and USDT to the pool, accepting up to `slippageBps` less than desired or the given minimums, whichever is higher
+    function addLiquidity(
+        IPancakeRouter02 router,
+        address pioToken,
+        address usdtToken,
+        uint256 pioAmount,
+        uint256 usdtAmount,
+        uint256 slippageBps,
+        uint256 deadline,
+        uint256 amountPioMin,
+        uint256 amountUsdtMin
+    ) public returns (uint256 pioUsed, uint256 usdtUsed, uint256 liquidity) {
+        require(deadline >= block.timestamp, "Deadline expired");
+        amountPioMin = Math.max(amountPioMin, pioAmount * (10000 - slippageBps) / 10000);
+        amountUsdtMin = Math.max(amountUsdtMin, usdtAmount * (10000 - slippageBps) / 10000);
+
+        return router.addLiquidity(
+            pioToken,
+            usdtToken,
+            pioAmount,
+            usdtAmount,
+            amountPioMin,
+            amountUsdtMin,
+            address(this),
+            deadline
+        );
+    }
+
+    // Swap `amountIn` of `tokenIn`, or BNB held by the manager as address(0), to `tokenOut` and return what arrived
+    function swap(
+        IPancakeRouter02 router,
+        address tokenIn,
+        address tokenOut,
+        uint256 amountIn,
+        uint256 minAmountOut,
+        uint256 deadline
+    ) public returns (uint256 amountOut) {
+        address[] memory path = new address[](2);
+        path[1] = tokenOut;
+        uint256 balanceBefore = IERC20(tokenOut).balanceOf(address(this));
+        if (tokenIn == address(0)) {
+            path[0] = router.WETH();
+            router.swapExactETHForTokens{value: amountIn}(minAmountOut, path, address(this), deadline);
+        } else {
+            path[0] = tokenIn;
+            router.swapExactTokensForTokens(amountIn, minAmountOut, path, address(this), deadline);
+        }
+        return IERC20(tokenOut).balanceOf(address(this)) - balanceBefore;
+    }
+
+    // Get the reserves of a quote token and PIO in their pair
+    function getReserves(address lpPair, address quoteToken)
+        public
+        view
+        returns (uint256 reserveQuote, uint256 reservePione)
+    {
+        (uint256 reserve0, uint256 reserve1, ) = IPancakePair(lpPair).getReserves();
+        (reserveQuote, reservePione) = IPancakePair(lpPair).token0() == quoteToken
+            ? (reserve0, reserve1)
+            : (reserve1, reserve0);
+    }
+
+    // Preview liquidity addition to the pair of `quoteToken` with refund amounts
+    function previewAddLiquidity(
+        IPancakeRouter02 router,
+        address lpPair,
+        address quoteToken,
+        uint256 pioneAmount,
+        uint256 usdtAmount
+    )
+        public
+        view
+        returns (
+            uint256 actualPioAmount,
+            uint256 actualUsdtAmount,
+            uint256 estimatedLiquidity,
+            uint256 refundPio,
+            uint256 refundUsdt
+        )
+    {
+        (uint256 reserveUsdt, uint256 reservePione) = getReserves(lpPair, quoteToken);
+        uint256 optimalUsdt = router.quote(pioneAmount, reservePione, reserveUsdt);
+
+        if (optimalUsdt <= usdtAmount) {
+            actualPioAmount = pioneAmount;
+            actualUsdtAmount = optimalUsdt;
+            refundUsdt = usdtAmount - optimalUsdt;
+            refundPio = 0;
+        } else {
+            uint256 optimalPio = router.quote(usdtAmount, reserveUsdt, reservePione);
+            actualPioAmount = optimalPio;
+            actualUsdtAmount = usdtAmount;
+            refundPio = pioneAmount - optimalPio;
+            refundUsdt = 0;
+        }
+
+        // Estimate liquidity tokens
+        uint256 totalSupply = IPancakePair(lpPair).totalSupply();
+        estimatedLiquidity = (actualPioAmount * totalSupply) / reservePione;
+    }
+
+    // Preview a zap: the PIO share swapped so the remainder matches the post-swap pool ratio, and the USDT it buys
+    function previewZap(
+        IPancakeRouter02 router,
+        address lpPair,
+        address quoteToken,
+        uint256 pioAmount
+    ) public view returns (uint256 swapAmount, uint256 usdtOut) {
+        (uint256 reserveUsdt, uint256 reservePione) = getReserves(lpPair, quoteToken);
+        uint256 feeFactor = 10000 - SWAP_FEE_BPS;
+        uint256 b = (10000 + feeFactor) * reservePione;
+        swapAmount = (Math.sqrt(b * b + 4 * feeFactor * 10000 * pioAmount * reservePione) - b) / (2 * feeFactor);
+        if (swapAmount > 0) {
+            usdtOut = router.getAmountOut(swapAmount, reservePione, reserveUsdt);
+        }
+    }
+
+    // Record the pair's cumulative PIO price and average it over the time since the previous record
+    function updateTwap(
+        IPioneLiquidityManager.TwapObservation storage twap,
+        address lpPair,
+        address pioToken,
+        uint256 period
+    ) public {
+        (uint256 priceCumulative, uint32 timestamp) = _currentCumulativePrice(lpPair, pioToken);
+        if (twap.timestamp != 0) {
+            // Cumulative prices and timestamps are meant to wrap around, like in the pair itself
+            uint32 elapsed;
+            uint256 average;
+            unchecked {
+                elapsed = timestamp - twap.timestamp;
+                require(elapsed > 0 && elapsed >= period, "TWAP period not elapsed");
+                average = (priceCumulative - twap.priceCumulative) / elapsed;
+            }
+            twap.price = Math.mulDiv(average, 1e18, 1 << 112);
+        }
+        twap.priceCumulative = priceCumulative;
+        twap.timestamp = timestamp;
+
+        emit IPioneLiquidityManager.TwapUpdated(twap.price, timestamp);
+    }
+
+    // Get the spot and reference USDT per PIO, as raw token ratios scaled by 1e18, and how far apart they are.
+    // The reference is the price feed when one is set, otherwise the TWAP recorded by updateTwap.
+    function getPriceDeviation(
+        IPioneLiquidityManager.PriceGuard storage guard,
+        IPioneLiquidityManager.TwapObservation storage twap,
+        address lpPair,
+        address pioToken,
+        address usdtToken
+    ) public view returns (uint256 spotPrice, uint256 referencePrice, uint256 deviationBps) {
+        (uint256 reservePio, uint256 reserveUsdt) = _reserves(lpPair, pioToken);
+        spotPrice = reserveUsdt * 1e18 / reservePio;
+
+        uint256 updatedAt;
+        if (guard.priceFeed == address(0)) {
+            require(twap.price > 0, "TWAP not ready");
+            (referencePrice, updatedAt) = (twap.price, twap.timestamp);
+        } else {
+            (referencePrice, updatedAt) = _feedPrice(guard.priceFeed, pioToken, usdtToken);
+        }
+        require(block.timestamp - updatedAt <= guard.maxPriceAge, "Stale price");
+
+        uint256 difference = spotPrice > referencePrice ? spotPrice - referencePrice : referencePrice - spotPrice;
+        deviationBps = difference * 10000 / referencePrice;
+    }
+
+    // Get the pair's cumulative USDT per PIO as of now, accumulating the current reserves since the last pair update
+    function _currentCumulativePrice(address lpPair, address pioToken)
+        private
+        view
+        returns (uint256 priceCumulative, uint32 timestamp)
+    {
+        IPancakePair pair = IPancakePair(lpPair);
+        priceCumulative = pair.token0() == pioToken ? pair.price0CumulativeLast() : pair.price1CumulativeLast();
+        (uint256 reservePio, uint256 reserveUsdt) = _reserves(lpPair, pioToken);
+        (, , uint32 pairTimestamp) = pair.getReserves();
+
+        timestamp = uint32(block.timestamp);
+        unchecked {
+            priceCumulative += (reserveUsdt << 112) / reservePio * (timestamp - pairTimestamp);
+        }
+    }
+
+    // Get the feed's USD per PIO converted to the pair's raw USDT per PIO ratio scaled by 1e18
+    function _feedPrice(address priceFeed, address pioToken, address usdtToken)
+        private
+        view
+        returns (uint256 price, uint256 updatedAt)
+    {
+        int256 answer;
+        (, answer, , updatedAt, ) = IAggregatorV3(priceFeed).latestRoundData();
+        require(answer > 0, "Invalid feed price");
+
+        uint256 usdtDecimals = IERC20Metadata(usdtToken).decimals();
+        uint256 pioDecimals = IERC20Metadata(pioToken).decimals();
+        uint256 feedDecimals = IAggregatorV3(priceFeed).decimals();
+        price = Math.mulDiv(uint256(answer), 10 ** (18 + usdtDecimals), 10 ** (feedDecimals + pioDecimals));
+    }
+
+    // Get the pair reserves ordered as PIO and USDT
+    function _reserves(address lpPair, address pioToken) private view returns (uint256 reservePio, uint256 reserveUsdt) {
+        (uint256 reserve0, uint256 reserve1, ) = IPancakePair(lpPair).getReserves();
+        (reservePio, reserveUsdt) = IPancakePair(lpPair).token0() == pioToken
+            ? (reserve0, reserve1)
+            : (reserve1, reserve0);
+        require(reservePio > 0 && reserveUsdt > 0, "Insufficient liquidity");
+    }
+}
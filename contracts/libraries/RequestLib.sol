@@ -0,0 +1,263 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import { IPioneChainBridge } from "../interfaces/IPioneChainBridge.sol";
+import { IPioneLiquidityManager } from "../interfaces/IPioneLiquidityManager.sol";
+import { ECDSA } from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import { MessageHashUtils } from "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+
+// Liquidity request records and checks for PioneLiquidityManager, linked like LPLockLib to keep the manager
+// below the size limit. Balances stay in the manager; this library only reads and updates request records.
+library RequestLib {
+
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant LIQUIDITY_INTENT_TYPEHASH = keccak256(
+        "LiquidityIntent(bytes32 requestId,address account,uint256 maxSlippageBps,uint256 deadline,uint256 nonce)"
+    );
+
+    struct UserInfo {
+        uint256 pioBalance;
+        uint256 usdtBalance;
+        uint256 totalLiquidity;
+        IPioneLiquidityManager.Transaction[] transactions;
+        bytes32[] requestIds;
+        mapping(bytes32 requestId => uint256) _positions;
+        // Balances of quote tokens other than USDT
+        mapping(address quoteToken => uint256) quoteBalances;
+    }
+
+    // Check that the bridge released `amountPIO` from `account` on the source chain to the caller, and that the PIO
+    // arrived: `pioReceived` is what the caller holds above what it already owes.
+    // The credited account and amount must match the request recorded by the bridge.
+    // Checks return a revert reason, or an empty string if they pass, so batches can skip invalid entries.
+    function checkBridgeRequest(
+        address bridge,
+        uint256 sourceChain,
+        bytes32 requestId,
+        address account,
+        uint256 amountPIO,
+        uint256 pioReceived
+    ) public view returns (string memory) {
+        if (account == address(0)) return "Invalid address";
+        if (!IPioneChainBridge(bridge).processedTransactions(requestId)) return "Transaction not completed";
+
+        IPioneChainBridge.BridgeRequest memory request = IPioneChainBridge(bridge).getBridgeRequest(requestId);
+        if (request.to != address(this)) return "Bridge recipient mismatch";
+        if (request.from != account) return "Bridge sender mismatch";
+        if (request.amount != amountPIO) return "Bridge amount mismatch";
+        if (request.sourceChain != sourceChain) return "Bridge source chain mismatch";
+        if (amountPIO > pioReceived) return "Bridged PIO not received";
+        return "";
+    }
+
+    // Check the bridge record of a new request, then its lock against the duration limits
+    function checkBridgeCompleted(
+        address bridge,
+        uint256 sourceChain,
+        bytes32 requestId,
+        address account,
+        uint256 amountPIO,
+        uint256 pioReceived,
+        uint256 lockMonths,
+        uint256 unlockDate,
+        uint256 minDuration,
+        uint256 maxDuration
+    ) public view returns (string memory reason) {
+        reason = checkBridgeRequest(bridge, sourceChain, requestId, account, amountPIO, pioReceived);
+        if (bytes(reason).length != 0) return reason;
+        return checkLockDuration(lockMonths, unlockDate, minDuration, maxDuration);
+    }
+
+    // Check a lock of `lockMonths` 30-day months, or until `unlockDate` when it is set, against the duration limits
+    function checkLockDuration(
+        uint256 lockMonths,
+        uint256 unlockDate,
+        uint256 minDuration,
+        uint256 maxDuration
+    ) public view returns (string memory) {
+        if (unlockDate == 0) {
+            if (lockMonths == 0) return "Lock months must be greater than 0";
+            if (lockMonths > maxDuration / 30 days || lockMonths * 30 days < minDuration) {
+                return "Lock duration out of range";
+            }
+            return "";
+        }
+
+        if (unlockDate <= block.timestamp) return "Unlock date must be in the future";
+        uint256 duration = unlockDate - block.timestamp;
+        if (duration < minDuration || duration > maxDuration) return "Lock duration out of range";
+        return "";
+    }
+
+    // Append a new request to the user's records.
+    // Requests with an exact unlock date store it right away and keep lockMonths at 0.
+    function create(
+        UserInfo storage user,
+        bytes32 requestId,
+        address account,
+        uint256 amountPIO,
+        uint256 amountUSDT,
+        uint256 lockMonths,
+        uint256 unlockDate
+    ) public {
+        user._positions[requestId] = user.transactions.length;
+        user.transactions.push(IPioneLiquidityManager.Transaction({
+            pioAmount: amountPIO,
+            usdtAmount: amountUSDT,
+            liquidityAmount: 0,
+            depositUSDT: false,
+            pinkLockId: 0,
+            lockMonths: lockMonths,
+            unlockDate: unlockDate,
+            expiresAt: 0,
+            status: IPioneLiquidityManager.RequestStatus.Created,
+            vesting: IPioneLiquidityManager.VestingSchedule(0, 0, 0, 0)
+        }));
+        user.requestIds.push(requestId);
+
+        emit IPioneLiquidityManager.LiquidityRequestCreated(requestId, account, amountPIO, amountUSDT, lockMonths);
+        emit IPioneLiquidityManager.RequestStatusChanged(requestId, account, IPioneLiquidityManager.RequestStatus.Created);
+    }
+
+    // Revert unless `account` owns the request and it still waits for its USDT
+    function requireFundable(
+        UserInfo storage user,
+        address requestOwner,
+        address account,
+        bytes32 requestId
+    ) public view {
+        IPioneLiquidityManager.Transaction storage txn = _ownedTransaction(user, requestOwner, account, requestId);
+        requireOpen(txn);
+        require(txn.status == IPioneLiquidityManager.RequestStatus.Created, "Already deposited USDT");
+    }
+
+    // Revert unless `account` owns the request and it is funded but not executed yet
+    function requireExecutable(
+        UserInfo storage user,
+        address requestOwner,
+        address account,
+        bytes32 requestId
+    ) public view {
+        IPioneLiquidityManager.Transaction storage txn = _ownedTransaction(user, requestOwner, account, requestId);
+        require(!isExecuted(txn), "Additional liquidity request made");
+        requireOpen(txn);
+        require(txn.status == IPioneLiquidityManager.RequestStatus.Funded, "USDT not provided yet");
+    }
+
+    // Cancel a pending request for its owner, or close it as expired for a manager once past its expiry
+    function cancel(
+        IPioneLiquidityManager.Transaction storage txn,
+        bytes32 requestId,
+        address account,
+        bool isManager
+    ) public {
+        requirePending(txn);
+
+        IPioneLiquidityManager.RequestStatus status = IPioneLiquidityManager.RequestStatus.Cancelled;
+        if (msg.sender != account) {
+            require(isManager, "Not the owner of this request");
+            require(isExpired(txn), "Request not expired");
+            status = IPioneLiquidityManager.RequestStatus.Expired;
+        }
+        setStatus(txn, requestId, account, status);
+
+        emit IPioneLiquidityManager.RequestCancelled(requestId, account, msg.sender);
+    }
+
+    // Set the time after which a pending request can no longer be funded or executed, 0 removes it
+    function setExpiry(IPioneLiquidityManager.Transaction storage txn, bytes32 requestId, uint256 expiresAt) public {
+        requirePending(txn);
+        require(expiresAt == 0 || expiresAt > block.timestamp, "Invalid expiry");
+        txn.expiresAt = expiresAt;
+
+        emit IPioneLiquidityManager.RequestExpiryUpdated(requestId, expiresAt);
+    }
+
+    // Check that `intent.account` signed the intent before its deadline and consume its nonce
+    function useIntent(
+        mapping(address account => uint256) storage nonces,
+        IPioneLiquidityManager.LiquidityIntent calldata intent,
+        bytes calldata signature
+    ) public {
+        require(intent.deadline >= block.timestamp, "Intent expired");
+        require(intent.nonce == nonces[intent.account]++, "Invalid intent nonce");
+
+        bytes32 structHash = keccak256(abi.encode(
+            LIQUIDITY_INTENT_TYPEHASH,
+            intent.requestId,
+            intent.account,
+            intent.maxSlippageBps,
+            intent.deadline,
+            intent.nonce
+        ));
+        address signer = ECDSA.recover(MessageHashUtils.toTypedDataHash(domainSeparator(), structHash), signature);
+        require(signer == intent.account, "Invalid intent signature");
+    }
+
+    // EIP-712 domain of the manager, this library runs in its context
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256("PioneLiquidityManager"),
+            keccak256("1"),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    // Move a request to a new lifecycle status
+    function setStatus(
+        IPioneLiquidityManager.Transaction storage txn,
+        bytes32 requestId,
+        address account,
+        IPioneLiquidityManager.RequestStatus status
+    ) internal {
+        txn.status = status;
+        emit IPioneLiquidityManager.RequestStatusChanged(requestId, account, status);
+    }
+
+    // Revert unless the request is still waiting for execution
+    function requirePending(IPioneLiquidityManager.Transaction storage txn) internal view {
+        require(!isClosed(txn), "Request already cancelled");
+        require(!isExecuted(txn), "Liquidity already added");
+    }
+
+    // Revert if the request was cancelled or has expired
+    function requireOpen(IPioneLiquidityManager.Transaction storage txn) internal view {
+        require(txn.status != IPioneLiquidityManager.RequestStatus.Cancelled, "Request cancelled");
+        require(txn.status != IPioneLiquidityManager.RequestStatus.Expired && !isExpired(txn), "Request expired");
+    }
+
+    // Check whether liquidity was already added for the request
+    function isExecuted(IPioneLiquidityManager.Transaction storage txn) internal view returns (bool) {
+        return txn.status == IPioneLiquidityManager.RequestStatus.Executed ||
+            txn.status == IPioneLiquidityManager.RequestStatus.Locked;
+    }
+
+    // Check whether the request was cancelled by its owner or closed after expiry
+    function isClosed(IPioneLiquidityManager.Transaction storage txn) internal view returns (bool) {
+        return txn.status == IPioneLiquidityManager.RequestStatus.Cancelled ||
+            txn.status == IPioneLiquidityManager.RequestStatus.Expired;
+    }
+
+    // Check whether the request has passed its expiry
+    function isExpired(IPioneLiquidityManager.Transaction storage txn) internal view returns (bool) {
+        return txn.expiresAt != 0 && block.timestamp >= txn.expiresAt;
+    }
+
+    // Get a request of `account` that carries a USDT amount, reverting if it belongs to someone else
+    function _ownedTransaction(
+        UserInfo storage user,
+        address requestOwner,
+        address account,
+        bytes32 requestId
+    ) private view returns (IPioneLiquidityManager.Transaction storage txn) {
+        require(requestOwner != address(0), "RequestId does not exist");
+        require(requestOwner == account, "Not the owner of this request");
+        uint256 position = user._positions[requestId];
+        require(position < user.transactions.length, "Invalid transaction");
+        txn = user.transactions[position];
+        require(txn.usdtAmount > 0, "Invalid transaction");
+    }
+}
@@ -3,12 +3,20 @@ pragma solidity ^0.8.0;
 
 contract MockFactory {
     address public pairAddress;
+    mapping(address => mapping(address => address)) private _pairs;
 
     function setPair(address _pair) external {
         pairAddress = _pair;
     }
 
+    // Register a pair for a specific token combination, other combinations fall back to pairAddress
+    function setPairFor(address tokenA, address tokenB, address _pair) external {
+        _pairs[tokenA][tokenB] = _pair;
+        _pairs[tokenB][tokenA] = _pair;
+    }
+
     function getPair(address tokenA, address tokenB) external view returns (address) {
-        return pairAddress;
+        address pair = _pairs[tokenA][tokenB];
+        return pair != address(0) ? pair : pairAddress;
     }
 }
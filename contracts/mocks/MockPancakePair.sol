@@ -7,6 +7,8 @@ contract MockPancakePair is ERC20 {
     uint112 private reserve0;
     uint112 private reserve1;
     uint32 private blockTimestampLast;
+    uint public price0CumulativeLast;
+    uint public price1CumulativeLast;
 
     address private _token0;
     address private _token1;
@@ -20,7 +22,16 @@ contract MockPancakePair is ERC20 {
         _mint(msg.sender, initialSupply);
     }
 
+    // Accumulates the previous prices over the elapsed time before storing the new reserves, like the real pair
     function setReserves(uint112 _reserve0, uint112 _reserve1) external {
+        uint32 blockTimestamp = uint32(block.timestamp);
+        unchecked {
+            uint32 timeElapsed = blockTimestamp - blockTimestampLast;
+            if (timeElapsed > 0 && reserve0 != 0 && reserve1 != 0) {
+                price0CumulativeLast += (uint(reserve1) << 112) / reserve0 * timeElapsed;
+                price1CumulativeLast += (uint(reserve0) << 112) / reserve1 * timeElapsed;
+            }
+        }
         reserve0 = _reserve0;
         reserve1 = _reserve1;
         blockTimestampLast = uint32(block.timestamp);
@@ -61,14 +72,6 @@ contract MockPancakePair is ERC20 {
         return 1000;
     }
 
-    function price0CumulativeLast() external pure returns (uint) {
-        return 0;
-    }
-
-    function price1CumulativeLast() external pure returns (uint) {
-        return 0;
-    }
-
     function kLast() external pure returns (uint) {
         return 0;
     }
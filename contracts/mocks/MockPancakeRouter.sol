@@ -7,30 +7,49 @@ interface IFactory {
     function getPair(address tokenA, address tokenB) external view returns (address);
 }
 
+interface IMockPair {
+    function token0() external view returns (address);
+    function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast);
+    function setReserves(uint112 reserve0, uint112 reserve1) external;
+}
+
 contract MockPancakeRouter {
     address public factory;
+    address public WETH;
+    // Limits of the last addLiquidity call, recorded so tests can check what the caller asked for
+    uint public lastAmountAMin;
+    uint public lastAmountBMin;
+    uint public lastDeadline;
 
     function setFactory(address _factory) external {
         factory = _factory;
     }
 
+    function setWETH(address _weth) external {
+        WETH = _weth;
+    }
+
     function addLiquidity(
         address tokenA,
         address tokenB,
         uint amountADesired,
         uint amountBDesired,
-        uint /* amountAMin */,
-        uint /* amountBMin */,
+        uint amountAMin,
+        uint amountBMin,
         address to,
-        uint /* deadline */
+        uint deadline
     ) external returns (uint amountA, uint amountB, uint liquidity) {
-        // Transfer tokens from sender
-        IERC20(tokenA).transferFrom(msg.sender, address(this), amountADesired);
-        IERC20(tokenB).transferFrom(msg.sender, address(this), amountBDesired);
+        lastAmountAMin = amountAMin;
+        lastAmountBMin = amountBMin;
+        lastDeadline = deadline;
 
         // Mock return values (95% of desired amounts for testing slippage)
         amountA = amountADesired * 95 / 100;
         amountB = amountBDesired * 95 / 100;
+
+        // Only pull the amounts actually used, like the real router
+        IERC20(tokenA).transferFrom(msg.sender, address(this), amountA);
+        IERC20(tokenB).transferFrom(msg.sender, address(this), amountB);
         liquidity = (amountA + amountB) / 2; // Simple mock calculation
 
         // Get LP token address from factory
@@ -45,4 +64,75 @@ contract MockPancakeRouter {
         require(reserveA > 0 && reserveB > 0, "INSUFFICIENT_LIQUIDITY");
         amountB = (amountA * reserveB) / reserveA;
     }
-}
\ No newline at end of file
+
+    // Constant-product output with the PancakeSwap v2 fee of 0.25%
+    function getAmountOut(uint amountIn, uint reserveIn, uint reserveOut) public pure returns (uint amountOut) {
+        require(amountIn > 0, "INSUFFICIENT_INPUT_AMOUNT");
+        require(reserveIn > 0 && reserveOut > 0, "INSUFFICIENT_LIQUIDITY");
+        uint amountInWithFee = amountIn * 9975;
+        amountOut = (amountInWithFee * reserveOut) / (reserveIn * 10000 + amountInWithFee);
+    }
+
+    function getAmountsOut(uint amountIn, address[] calldata path) public view returns (uint[] memory amounts) {
+        require(path.length == 2, "INVALID_PATH");
+        (uint reserveIn, uint reserveOut) = _getReserves(path[0], path[1]);
+        amounts = new uint[](2);
+        amounts[0] = amountIn;
+        amounts[1] = getAmountOut(amountIn, reserveIn, reserveOut);
+    }
+
+    // Pays out of the router balance and moves the pair reserves like a real swap
+    function swapExactTokensForTokens(
+        uint amountIn,
+        uint amountOutMin,
+        address[] calldata path,
+        address to,
+        uint deadline
+    ) external returns (uint[] memory amounts) {
+        IERC20(path[0]).transferFrom(msg.sender, address(this), amountIn);
+        amounts = _swap(amountIn, amountOutMin, path, to, deadline);
+    }
+
+    // The native coin stays in the router, path[0] must be WETH
+    function swapExactETHForTokens(
+        uint amountOutMin,
+        address[] calldata path,
+        address to,
+        uint deadline
+    ) external payable returns (uint[] memory amounts) {
+        require(path[0] == WETH, "INVALID_PATH");
+        amounts = _swap(msg.value, amountOutMin, path, to, deadline);
+    }
+
+    function _swap(
+        uint amountIn,
+        uint amountOutMin,
+        address[] calldata path,
+        address to,
+        uint deadline
+    ) private returns (uint[] memory amounts) {
+        require(deadline >= block.timestamp, "EXPIRED");
+        amounts = getAmountsOut(amountIn, path);
+        require(amounts[1] >= amountOutMin, "INSUFFICIENT_OUTPUT_AMOUNT");
+
+        IERC20(path[1]).transfer(to, amounts[1]);
+
+        (uint reserveIn, uint reserveOut) = _getReserves(path[0], path[1]);
+        _setReserves(path[0], path[1], reserveIn + amountIn, reserveOut - amounts[1]);
+    }
+
+    function _getReserves(address tokenA, address tokenB) private view returns (uint reserveA, uint reserveB) {
+        address pair = IFactory(factory).getPair(tokenA, tokenB);
+        (uint reserve0, uint reserve1,) = IMockPair(pair).getReserves();
+        (reserveA, reserveB) = IMockPair(pair).token0() == tokenA ? (reserve0, reserve1) : (reserve1, reserve0);
+    }
+
+    function _setReserves(address tokenA, address tokenB, uint reserveA, uint reserveB) private {
+        address pair = IFactory(factory).getPair(tokenA, tokenB);
+        if (IMockPair(pair).token0() == tokenA) {
+            IMockPair(pair).setReserves(uint112(reserveA), uint112(reserveB));
+        } else {
+            IMockPair(pair).setReserves(uint112(reserveB), uint112(reserveA));
+        }
+    }
+}
@@ -0,0 +1,52 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import { ISignatureTransfer } from "../interfaces/ISignatureTransfer.sol";
+
+// SignatureTransfer part of Uniswap Permit2 with the same EIP-712 domain, types and unordered nonces
+contract MockPermit2 is ISignatureTransfer {
+    using SafeERC20 for IERC20;
+
+    // Permit2's domain has no version field
+    bytes32 private constant _DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,uint256 chainId,address verifyingContract)");
+    bytes32 private constant _TOKEN_PERMISSIONS_TYPEHASH = keccak256("TokenPermissions(address token,uint256 amount)");
+    bytes32 private constant _PERMIT_TRANSFER_FROM_TYPEHASH = keccak256(
+        "PermitTransferFrom(TokenPermissions permitted,address spender,uint256 nonce,uint256 deadline)TokenPermissions(address token,uint256 amount)"
+    );
+
+    mapping(address => mapping(uint256 => uint256)) public nonceBitmap;
+
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(_DOMAIN_TYPEHASH, keccak256("Permit2"), block.chainid, address(this)));
+    }
+
+    function permitTransferFrom(
+        PermitTransferFrom memory permit,
+        SignatureTransferDetails calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external {
+        require(block.timestamp <= permit.deadline, "SignatureExpired");
+        require(transferDetails.requestedAmount <= permit.permitted.amount, "InvalidAmount");
+
+        bytes32 structHash = keccak256(abi.encode(
+            _PERMIT_TRANSFER_FROM_TYPEHASH,
+            keccak256(abi.encode(_TOKEN_PERMISSIONS_TYPEHASH, permit.permitted.token, permit.permitted.amount)),
+            msg.sender,
+            permit.nonce,
+            permit.deadline
+        ));
+        require(ECDSA.recover(MessageHashUtils.toTypedDataHash(DOMAIN_SEPARATOR(), structHash), signature) == owner, "InvalidSigner");
+
+        uint256 bit = 1 << (permit.nonce & 0xff);
+        uint256 word = nonceBitmap[owner][permit.nonce >> 8];
+        require(word & bit == 0, "InvalidNonce");
+        nonceBitmap[owner][permit.nonce >> 8] = word | bit;
+
+        IERC20(permit.permitted.token).safeTransferFrom(owner, transferDetails.to, transferDetails.requestedAmount);
+    }
+}
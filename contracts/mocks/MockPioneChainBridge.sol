@@ -1,17 +1,68 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
+import { IPioneChainBridge } from "../interfaces/IPioneChainBridge.sol";
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
 contract MockPioneChainBridge {
     mapping(bytes32 => bool) public processedTransactions;
+    mapping(bytes32 => IPioneChainBridge.BridgeRequest) private _requests;
+    // Released by bridgeIn from the mock's own balance and pulled from the caller by bridgeOut, no tokens move while unset
+    address public token;
+
+    // Unlimited until setTransferLimits is called
+    uint public minAmount;
+    uint public maxAmount = type(uint).max;
+    uint public dailyLimit = type(uint).max;
+    uint private _day;
+    uint private _dailyTransferred;
+
+    function setToken(address _token) external {
+        token = _token;
+    }
 
     function setProcessedTransaction(bytes32 requestId, bool status) external {
         processedTransactions[requestId] = status;
     }
 
+    function bridgeIn(IPioneChainBridge.BridgeRequest calldata request, bytes32 requestId) external {
+        require(!processedTransactions[requestId], "Already processed");
+        processedTransactions[requestId] = true;
+        _requests[requestId] = request;
+        if (token != address(0)) IERC20(token).transfer(request.to, request.amount);
+    }
+
+    function getBridgeRequest(bytes32 requestId) external view returns (IPioneChainBridge.BridgeRequest memory) {
+        return _requests[requestId];
+    }
+
+    function setTransferLimits(uint _minAmount, uint _maxAmount, uint _dailyLimit) external {
+        minAmount = _minAmount;
+        maxAmount = _maxAmount;
+        dailyLimit = _dailyLimit;
+    }
+
+    function getDailyTransferred() public view returns (uint) {
+        return block.timestamp / 1 days == _day ? _dailyTransferred : 0;
+    }
+
+    function getRemainingDailyLimit() external view returns (uint) {
+        uint transferred = getDailyTransferred();
+        return dailyLimit > transferred ? dailyLimit - transferred : 0;
+    }
+
     function bridgeOut(address to, uint256 amount, uint256 chainId) external returns (bytes32) {
+        require(amount >= minAmount && amount <= maxAmount, "Invalid amount");
+        uint transferred = getDailyTransferred() + amount;
+        require(transferred <= dailyLimit, "Daily limit exceeded");
+        _day = block.timestamp / 1 days;
+        _dailyTransferred = transferred;
+
+        if (token != address(0)) IERC20(token).transferFrom(msg.sender, address(this), amount);
+
         // Mock implementation
         bytes32 requestId = keccak256(abi.encodePacked(to, amount, chainId, block.timestamp));
         processedTransactions[requestId] = true;
         return requestId;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+contract MockPriceFeed {
+    uint8 public decimals;
+    string public description = "PIO / USD";
+    int256 private _answer;
+    uint256 private _updatedAt;
+    uint80 private _roundId;
+
+    constructor(uint8 decimals_, int256 answer) {
+        decimals = decimals_;
+        setAnswer(answer);
+    }
+
+    function setAnswer(int256 answer) public {
+        _answer = answer;
+        _updatedAt = block.timestamp;
+        _roundId++;
+    }
+
+    function setUpdatedAt(uint256 updatedAt) external {
+        _updatedAt = updatedAt;
+    }
+
+    function latestRoundData()
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
+    {
+        return (_roundId, _answer, _updatedAt, _updatedAt, _roundId);
+    }
+}
@@ -1,11 +1,34 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("hardhat-contract-sizer");
 require("dotenv").config();
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { TASK_COMPILE } = require("hardhat/builtin-tasks/task-names");
+const { checkStorageLayouts } = require("./scripts/storageLayout");
 
 const PRIVATE_KEY = process.env.PRIVATE_KEY || "";
 const INFURA_KEY = process.env.INFURA_KEY || "";
 const EXPLORER_API_KEY = process.env.EXPLORER_API_KEY || "";
 
+let updateStorageLayouts = false;
+
+// Fail the build when an upgradeable contract no longer matches the storage layout committed in storage-layout/
+task(TASK_COMPILE, async (args, hre, runSuper) => {
+  const result = await runSuper(args);
+  const problems = await checkStorageLayouts(hre, { update: updateStorageLayouts });
+  if (problems.length > 0) {
+    throw new HardhatPluginError("storage-layout", `Incompatible storage layout:\n  ${problems.join("\n  ")}`);
+  }
+  return result;
+});
+
+task("storage-layout", "Overwrite the committed storage layouts, only for contracts that are not deployed yet")
+  .setAction(async (args, hre) => {
+    updateStorageLayouts = true;
+    await hre.run(TASK_COMPILE);
+    console.log("Storage layouts written to storage-layout/");
+  });
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
@@ -18,6 +41,11 @@ module.exports = {
             runs: 200,
           },
           viaIR: true,
+          outputSelection: {
+            "*": {
+              "*": ["storageLayout"],
+            },
+          },
         },
       },
       {
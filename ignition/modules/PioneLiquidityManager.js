@@ -10,20 +10,48 @@ const PIONE_BRIDGE = process.env.PIONE_BRIDGE || "";
 const PANCAKEROUTER = process.env.PANCAKEROUTER || "";
 const PINKLOCK = process.env.PINKLOCK || "";
 const PIONECHAIN_ID = process.env.PIONECHAIN_ID || "";
+const PROXY_ADMIN_OWNER = process.env.PROXY_ADMIN_OWNER || "";
 
-module.exports = buildModule("PioneLiquidityManager_modules", (m) => {
-
-  const liquidityManager = m.contract(
-    "PioneLiquidityManager", 
-    [
-      PIONE_TOKEN,
-      USDT_BEP20,
-      PIONE_BRIDGE,
-      PANCAKEROUTER,
-      PINKLOCK,
-      PIONECHAIN_ID
-    ]
+// Deploys the implementation and a TransparentUpgradeableProxy initialized in the same transaction.
+// The proxy creates its own ProxyAdmin, owned by PROXY_ADMIN_OWNER or the deployer, which is the only upgrader.
+module.exports = buildModule("PioneLiquidityManagerProxy_modules", (m) => {
+
+  const lpLockLib = m.library("LPLockLib");
+
+  const requestLib = m.library("RequestLib");
+
+  const liquidityLib = m.library("LiquidityLib");
+
+  const claimQueueLib = m.library("ClaimQueueLib");
+
+  const implementation = m.contract(
+    "PioneLiquidityManager",
+    [],
+    {
+      id: "PioneLiquidityManagerImplementation",
+      libraries: { LPLockLib: lpLockLib, RequestLib: requestLib, LiquidityLib: liquidityLib, ClaimQueueLib: claimQueueLib }
+    }
   );
 
-  return { liquidityManager };
-});
\ No newline at end of file
+  const initialize = m.encodeFunctionCall(implementation, "initialize", [
+    PIONE_TOKEN,
+    USDT_BEP20,
+    PIONE_BRIDGE,
+    PANCAKEROUTER,
+    PINKLOCK,
+    PIONECHAIN_ID
+  ]);
+
+  const proxy = m.contract("TransparentUpgradeableProxy", [
+    implementation,
+    PROXY_ADMIN_OWNER || m.getAccount(0),
+    initialize
+  ]);
+
+  const proxyAdminAddress = m.readEventArgument(proxy, "AdminChanged", "newAdmin");
+  const proxyAdmin = m.contractAt("ProxyAdmin", proxyAdminAddress);
+
+  const liquidityManager = m.contractAt("PioneLiquidityManager", proxy);
+
+  return { liquidityManager, implementation, proxy, proxyAdmin };
+});
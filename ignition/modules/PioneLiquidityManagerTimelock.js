@@ -0,0 +1,38 @@
+// This setup uses Hardhat Ignition to manage smart contract deployments.
+// Learn more about it at https://hardhat.org/ignition
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const PioneLiquidityManagerModule = require("./PioneLiquidityManager");
+require('dotenv').config();
+
+const TIMELOCK_MIN_DELAY = process.env.TIMELOCK_MIN_DELAY || 2 * 24 * 60 * 60; // default 2 days
+const TIMELOCK_PROPOSER = process.env.TIMELOCK_PROPOSER || "";
+const PROXY_ADMIN_OWNER = process.env.PROXY_ADMIN_OWNER || "";
+
+// Deploys the manager proxy and an OpenZeppelin TimelockController, then hands the sensitive setters to the timelock.
+// TIMELOCK_PROPOSER (default the deployer) schedules, executes and cancels changes; the delay changes through the timelock itself.
+// When PROXY_ADMIN_OWNER is not set, upgrades go through the timelock too.
+module.exports = buildModule("PioneLiquidityManagerTimelock_modules", (m) => {
+
+  const { liquidityManager, implementation, proxy, proxyAdmin } = m.useModule(PioneLiquidityManagerModule);
+
+  const deployer = m.getAccount(0);
+  const proposer = TIMELOCK_PROPOSER || deployer;
+
+  const timelock = m.contract("TimelockController", [
+    TIMELOCK_MIN_DELAY,
+    [proposer],
+    [proposer],
+    "0x0000000000000000000000000000000000000000"
+  ]);
+
+  const timelockRole = m.staticCall(liquidityManager, "TIMELOCK_ROLE");
+  const grantTimelock = m.call(liquidityManager, "grantRole", [timelockRole, timelock], { id: "GrantTimelockRole" });
+  m.call(liquidityManager, "renounceRole", [timelockRole, deployer], { id: "RenounceTimelockRole", after: [grantTimelock] });
+
+  if (!PROXY_ADMIN_OWNER) {
+    m.call(proxyAdmin, "transferOwnership", [timelock], { id: "TransferProxyAdmin" });
+  }
+
+  return { liquidityManager, implementation, proxy, proxyAdmin, timelock };
+});
@@ -0,0 +1,57 @@
+// Deploys PioneLiquidityManager together with mock dependencies on a local Hardhat node.
+// Learn more about it at https://hardhat.org/ignition
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const PIONECHAIN_ID = 5080;
+const e18 = (amount) => BigInt(amount) * 10n ** 18n;
+
+module.exports = buildModule("LocalLiquidityManager_modules", (m) => {
+
+  const pioneToken = m.contract("MockERC20", ["PIONE Token", "PIO", e18(1000000)], { id: "PioneToken" });
+  const usdtToken = m.contract("MockERC20", ["Tether USD", "USDT", e18(1000000)], { id: "UsdtToken" });
+  const lpToken = m.contract("MockPancakePair", ["PancakePair PIO-USDT", "PIO-USDT-LP", e18(1000000)]);
+  const factory = m.contract("MockFactory");
+  const router = m.contract("MockPancakeRouter");
+  const bridge = m.contract("MockPioneChainBridge");
+  const pinkLock = m.contract("MockPinkLock");
+  const lpLockLib = m.library("LPLockLib");
+  const requestLib = m.library("RequestLib");
+  const liquidityLib = m.library("LiquidityLib");
+  const claimQueueLib = m.library("ClaimQueueLib");
+
+  m.call(lpToken, "setTokens", [usdtToken, pioneToken]);
+  m.call(lpToken, "setReserves", [e18(1000), e18(2000)]);
+  const setPair = m.call(factory, "setPair", [lpToken]);
+  const setFactory = m.call(router, "setFactory", [factory]);
+  m.call(lpToken, "transfer", [router, e18(100000)]);
+
+  const implementation = m.contract(
+    "PioneLiquidityManager",
+    [],
+    {
+      id: "PioneLiquidityManagerImplementation",
+      libraries: { LPLockLib: lpLockLib, RequestLib: requestLib, LiquidityLib: liquidityLib, ClaimQueueLib: claimQueueLib }
+    }
+  );
+  const initialize = m.encodeFunctionCall(implementation, "initialize", [
+    pioneToken,
+    usdtToken,
+    bridge,
+    router,
+    pinkLock,
+    PIONECHAIN_ID
+  ]);
+  const proxy = m.contract(
+    "TransparentUpgradeableProxy",
+    [implementation, m.getAccount(0), initialize],
+    { after: [setPair, setFactory] }
+  );
+  const liquidityManager = m.contractAt("PioneLiquidityManager", proxy);
+
+  // The mock bridge releases bridged-in PIO from its own balance
+  m.call(bridge, "setToken", [pioneToken]);
+  m.call(pioneToken, "transfer", [bridge, e18(100000)]);
+
+  return { liquidityManager, pioneToken, usdtToken, lpToken, router, bridge, pinkLock };
+});
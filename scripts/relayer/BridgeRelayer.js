@@ -0,0 +1,259 @@
+const { AbiCoder, Contract, ZeroAddress, dataSlice } = require("ethers");
+const { loadCheckpoint, saveCheckpoint } = require("./checkpoint");
+
+// Revert reasons that do not change on retry: the request is skipped with a warning, to be handled by hand
+const SKIP_REASONS = [
+  "RequestId already set",
+  "Invalid address",
+  "Bridge recipient mismatch",
+  "Bridge sender mismatch",
+  "Bridge amount mismatch",
+  "Bridge source chain mismatch",
+  "Bridged PIO not received",
+  "Lock months must be greater than 0",
+  "Lock duration out of range",
+];
+const MONTH = 30n * 24n * 60n * 60n;
+
+// Selector of Error(string)
+const ERROR_SELECTOR = "0x08c379a0";
+
+const TRANSFER_ABI = ["event Transfer(address indexed from, address indexed to, uint256 value)"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isNonceError = (error) =>
+  error.code === "NONCE_EXPIRED" ||
+  error.code === "REPLACEMENT_UNDERPRICED" ||
+  /nonce/i.test(error.message || "");
+
+// ethers decodes the reason on JSON-RPC providers, the in-process Hardhat network only returns the revert data
+const revertReason = (error) => {
+  if (error.reason) return error.reason;
+  if (typeof error.data !== "string" || !error.data.startsWith(ERROR_SELECTOR)) return undefined;
+  return AbiCoder.defaultAbiCoder().decode(["string"], dataSlice(error.data, 4))[0];
+};
+
+// Watches PIO transfers to the liquidity manager made by bridgeIn calls and
+// calls handleBridgeCompleted for every request the manager does not know yet.
+// The bridge emits no event of its own, so each request is decoded from the
+// calldata of the bridgeIn transaction; bridgeIn must be sent to the bridge
+// directly, calls relayed through another contract are not seen.
+// Requests are created on the pair of `quoteToken`, USDT unless another
+// registered quote token is given. With batchSize > 1 they are submitted through
+// handleBridgeCompletedBatchForPair in skip-invalid mode, so one bad entry does
+// not block the rest.
+class BridgeRelayer {
+  constructor({
+    bridge,
+    liquidityManager,
+    signer,
+    lockMonths,
+    quoteToken,
+    checkpointFile,
+    startBlock = 0,
+    confirmations = 0,
+    maxBlockRange = 2000,
+    batchSize = 20,
+    maxRetries = 5,
+    retryDelayMs = 3000,
+    pollIntervalMs = 15000,
+    logger = console,
+  }) {
+    if (!(lockMonths > 0)) throw new Error("Lock months must be greater than 0");
+    this.bridge = bridge;
+    this.liquidityManager = liquidityManager;
+    this.signer = signer;
+    this.lockMonths = lockMonths;
+    this.quoteToken = quoteToken;
+    this.checkpointFile = checkpointFile;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.maxBlockRange = maxBlockRange;
+    this.batchSize = batchSize;
+    this.maxRetries = maxRetries;
+    this.retryDelayMs = retryDelayMs;
+    this.pollIntervalMs = pollIntervalMs;
+    this.logger = logger;
+    this.running = false;
+  }
+
+  // Resolve addresses, restore the checkpoint and fetch the signer nonce
+  async init() {
+    this.provider = this.signer.provider;
+    this.bridgeAddress = await this.bridge.getAddress();
+    this.managerAddress = await this.liquidityManager.getAddress();
+    this.pioneToken = new Contract(await this.liquidityManager.PIONE_TOKEN(), TRANSFER_ABI, this.provider);
+    this.chainId = (await this.provider.getNetwork()).chainId.toString();
+    this.lastBlock = this.startBlock - 1;
+
+    const usdt = await this.liquidityManager.USDT_TOKEN();
+    this.quoteToken = this.quoteToken || usdt;
+    if (this.quoteToken !== usdt && (await this.liquidityManager.quotePairs(this.quoteToken)) === ZeroAddress) {
+      throw new Error(`Quote token ${this.quoteToken} is not registered on the manager`);
+    }
+
+    // A lock the manager refuses would make every request a skip
+    const lock = BigInt(this.lockMonths) * MONTH;
+    if (lock < (await this.liquidityManager.minLockDuration()) || lock > (await this.liquidityManager.maxLockDuration())) {
+      throw new Error(`Lock of ${this.lockMonths} months is outside the manager's lock duration limits`);
+    }
+
+    const checkpoint = loadCheckpoint(this.checkpointFile);
+    if (checkpoint) {
+      if (
+        checkpoint.chainId !== this.chainId ||
+        checkpoint.bridge !== this.bridgeAddress ||
+        checkpoint.liquidityManager !== this.managerAddress
+      ) {
+        throw new Error(`Checkpoint ${this.checkpointFile} belongs to another deployment`);
+      }
+      this.lastBlock = Math.max(this.lastBlock, checkpoint.lastBlock);
+    }
+
+    await this._syncNonce();
+    this.logger.log(`Relayer ready on chain ${this.chainId}, resuming after block ${this.lastBlock}`);
+  }
+
+  // Relay every confirmed block since the checkpoint, returns the number of submitted requests
+  async poll() {
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const filter = this.pioneToken.filters.Transfer(null, this.managerAddress);
+    let submitted = 0;
+
+    while (this.lastBlock < head) {
+      const fromBlock = this.lastBlock + 1;
+      const toBlock = Math.min(head, fromBlock + this.maxBlockRange - 1);
+      const transfers = await this.pioneToken.queryFilter(filter, fromBlock, toBlock);
+
+      const pending = [];
+      for (const bridgeIn of await this._decodeBridgeIns(transfers)) {
+        const args = await this._prepare(bridgeIn);
+        if (args) pending.push(args);
+      }
+      submitted += await this._submitAll(pending);
+      this._saveCheckpoint(toBlock);
+    }
+    return submitted;
+  }
+
+  // Poll until stop() is called, failed cycles are retried from the last checkpoint
+  async run() {
+    this.running = true;
+    while (this.running) {
+      try {
+        await this.poll();
+      } catch (error) {
+        this.logger.error(`Relay cycle failed: ${error.message}`);
+        await this._syncNonce().catch(() => {});
+      }
+      if (this.running) await sleep(this.pollIntervalMs);
+    }
+  }
+
+  stop() {
+    this.running = false;
+  }
+
+  // Decode the bridgeIn calls behind PIO transfers to the manager, other transfers are ignored
+  async _decodeBridgeIns(transfers) {
+    const bridgeIns = [];
+    const seen = new Set();
+    for (const transfer of transfers) {
+      if (seen.has(transfer.transactionHash)) continue;
+      seen.add(transfer.transactionHash);
+
+      const tx = await this.provider.getTransaction(transfer.transactionHash);
+      if (tx.to !== this.bridgeAddress) continue;
+      const call = this.bridge.interface.parseTransaction(tx);
+      if (!call || call.name !== "bridgeIn") continue;
+
+      const [request, requestId] = call.args;
+      if (request.to !== this.managerAddress) continue;
+      bridgeIns.push({ requestId, account: request.from, amount: request.amount });
+    }
+    return bridgeIns;
+  }
+
+  // Build handleBridgeCompletedForPair arguments for a bridgeIn, or null if it must not be relayed
+  async _prepare({ requestId, account, amount }) {
+
+    if (!(await this.bridge.processedTransactions(requestId))) {
+      this.logger.warn(`Skip ${requestId}: not processed on bridge`);
+      return null;
+    }
+    if ((await this.liquidityManager.getRequestIdOwner(requestId)) !== ZeroAddress) {
+      return null;
+    }
+
+    const amountQuote = await this.liquidityManager.getOptimalAmountQuote(this.quoteToken, amount);
+    return [requestId, account, amount, this.quoteToken, amountQuote, this.lockMonths];
+  }
+
+  async _submitAll(pending) {
+    let submitted = 0;
+    if (this.batchSize <= 1) {
+      for (const args of pending) {
+        if (await this._send("handleBridgeCompletedForPair", args, args[0])) submitted++;
+      }
+      return submitted;
+    }
+
+    for (let i = 0; i < pending.length; i += this.batchSize) {
+      const batch = pending.slice(i, i + this.batchSize);
+      const columns = batch[0].map((_, column) => batch.map((args) => args[column]));
+      const receipt = await this._send("handleBridgeCompletedBatchForPair", [...columns, true], `batch of ${batch.length}`);
+      if (!receipt) continue;
+
+      const skipped = receipt.logs
+        .map((log) => this.liquidityManager.interface.parseLog(log))
+        .filter((log) => log && log.name === "BridgeCompletedSkipped");
+      for (const log of skipped) {
+        this.logger.warn(`Skip ${log.args.requestId}: ${log.args.reason}`);
+      }
+      submitted += batch.length - skipped.length;
+    }
+    return submitted;
+  }
+
+  // Send a manager call with nonce tracking and retries, returns null if the call must be skipped
+  async _send(method, args, label) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.liquidityManager[method].staticCall(...args);
+        const tx = await this.liquidityManager[method](...args, { nonce: this.nonce });
+        this.nonce++;
+        const receipt = await tx.wait();
+        this.logger.log(`Relayed ${label} in ${tx.hash}`);
+        return receipt;
+      } catch (error) {
+        const reason = revertReason(error);
+        if (SKIP_REASONS.includes(reason)) {
+          this.logger.warn(`Skip ${label}: ${reason}`);
+          return null;
+        }
+        if (isNonceError(error)) await this._syncNonce();
+        if (attempt >= this.maxRetries) throw error;
+
+        this.logger.warn(`Attempt ${attempt} for ${label} failed: ${error.shortMessage || error.message}`);
+        await sleep(this.retryDelayMs * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  async _syncNonce() {
+    this.nonce = await this.provider.getTransactionCount(await this.signer.getAddress(), "pending");
+  }
+
+  _saveCheckpoint(blockNumber) {
+    this.lastBlock = blockNumber;
+    saveCheckpoint(this.checkpointFile, {
+      chainId: this.chainId,
+      bridge: this.bridgeAddress,
+      liquidityManager: this.managerAddress,
+      lastBlock: blockNumber,
+    });
+  }
+}
+
+module.exports = { BridgeRelayer };
@@ -0,0 +1,18 @@
+const fs = require("fs");
+const path = require("path");
+
+// Load a saved checkpoint, returning null when the relayer has never run
+function loadCheckpoint(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Write the checkpoint through a temp file so a crash never leaves it half-written
+function saveCheckpoint(file, checkpoint) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(checkpoint, null, 2));
+  fs.renameSync(tmpFile, file);
+}
+
+module.exports = { loadCheckpoint, saveCheckpoint };
@@ -0,0 +1,48 @@
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { BridgeRelayer } = require("./BridgeRelayer");
+require('dotenv').config();
+
+const LIQUIDITY_MANAGER = process.env.LIQUIDITY_MANAGER || "";
+const RELAYER_LOCK_MONTHS = process.env.RELAYER_LOCK_MONTHS || "12";
+const RELAYER_QUOTE_TOKEN = process.env.RELAYER_QUOTE_TOKEN || "";
+const RELAYER_START_BLOCK = process.env.RELAYER_START_BLOCK || "0";
+const RELAYER_CONFIRMATIONS = process.env.RELAYER_CONFIRMATIONS || "3";
+const RELAYER_BATCH_SIZE = process.env.RELAYER_BATCH_SIZE || "20";
+const RELAYER_POLL_INTERVAL_MS = process.env.RELAYER_POLL_INTERVAL_MS || "15000";
+const RELAYER_CHECKPOINT_FILE = process.env.RELAYER_CHECKPOINT_FILE ||
+  path.join(__dirname, "../../.relayer", `checkpoint-${hre.network.name}.json`);
+
+async function main() {
+  const [signer] = await ethers.getSigners();
+  const liquidityManager = await ethers.getContractAt("PioneLiquidityManager", LIQUIDITY_MANAGER, signer);
+  const bridge = await ethers.getContractAt("IPioneChainBridge", await liquidityManager.pioneBridge(), signer);
+
+  const relayer = new BridgeRelayer({
+    bridge,
+    liquidityManager,
+    signer,
+    lockMonths: Number(RELAYER_LOCK_MONTHS),
+    quoteToken: RELAYER_QUOTE_TOKEN || undefined,
+    checkpointFile: RELAYER_CHECKPOINT_FILE,
+    startBlock: Number(RELAYER_START_BLOCK),
+    confirmations: Number(RELAYER_CONFIRMATIONS),
+    batchSize: Number(RELAYER_BATCH_SIZE),
+    pollIntervalMs: Number(RELAYER_POLL_INTERVAL_MS),
+  });
+
+  process.on("SIGINT", () => relayer.stop());
+  process.on("SIGTERM", () => relayer.stop());
+
+  await relayer.init();
+  console.log(`Relaying bridge ${relayer.bridgeAddress} -> ${relayer.managerAddress} as ${signer.address}`);
+  await relayer.run();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,139 @@
+// Storage layout snapshots for contracts deployed behind a proxy.
+// An upgrade may only append state variables: every variable of the snapshot must keep its slot, offset and type.
+// Structs stored as mapping values may also gain members at their end.
+
+const fs = require("fs");
+const path = require("path");
+
+const SNAPSHOT_DIR = path.join(__dirname, "..", "storage-layout");
+const UPGRADEABLE_CONTRACTS = ["contracts/PioneLiquidityManager.sol:PioneLiquidityManager"];
+// Contracts that upgradeable contracts delegate calls to, running on their storage with the exact same layout
+const DELEGATED_CONTRACTS = {
+  "contracts/PioneLiquidityManagerAdmin.sol:PioneLiquidityManagerAdmin": "contracts/PioneLiquidityManager.sol:PioneLiquidityManager",
+};
+
+// Describe a solc storage type without the AST ids that change between compilations
+function normalizeType(types, typeId) {
+  const type = types[typeId];
+  const normalized = { label: type.label, encoding: type.encoding, numberOfBytes: type.numberOfBytes };
+  if (type.members) normalized.members = type.members.map((member) => normalizeVariable(types, member));
+  if (type.key) normalized.key = normalizeType(types, type.key);
+  if (type.value) normalized.value = normalizeType(types, type.value);
+  if (type.base) normalized.base = normalizeType(types, type.base);
+  return normalized;
+}
+
+function normalizeVariable(types, variable) {
+  return {
+    label: variable.label,
+    slot: variable.slot,
+    offset: variable.offset,
+    type: normalizeType(types, variable.type),
+  };
+}
+
+// Read the layout of a fully qualified contract name from its last compilation
+async function getStorageLayout(hre, fullyQualifiedName) {
+  const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+  if (!buildInfo) throw new Error(`No build info for ${fullyQualifiedName}, compile first`);
+
+  const [sourceName, contractName] = fullyQualifiedName.split(":");
+  const layout = buildInfo.output.contracts[sourceName][contractName].storageLayout;
+  if (!layout) throw new Error(`No storage layout for ${fullyQualifiedName}, check the solc outputSelection`);
+
+  return layout.storage.map((variable) => normalizeVariable(layout.types || {}, variable));
+}
+
+function describe(type) {
+  return `${type.label} (${type.numberOfBytes} bytes)`;
+}
+
+// Check that `next` can replace `previous` in place, `growable` structs may gain members at their end
+function compareTypes(previous, next, name, growable, problems) {
+  if (previous.label !== next.label || previous.encoding !== next.encoding) {
+    problems.push(`${name}: type changed from ${describe(previous)} to ${describe(next)}`);
+    return;
+  }
+
+  if (previous.members) {
+    compareVariables(previous.members, next.members, name, growable, problems);
+    if (!growable && previous.numberOfBytes !== next.numberOfBytes) {
+      problems.push(`${name}: struct size changed from ${previous.numberOfBytes} to ${next.numberOfBytes} bytes`);
+    }
+  } else if (previous.numberOfBytes !== next.numberOfBytes) {
+    problems.push(`${name}: size changed from ${previous.numberOfBytes} to ${next.numberOfBytes} bytes`);
+  }
+
+  if (previous.key) compareTypes(previous.key, next.key, `${name} key`, false, problems);
+  // Mapping values are hashed to their own slots, so a struct there has room to grow
+  if (previous.value) compareTypes(previous.value, next.value, `${name} value`, true, problems);
+  // Array items are packed one after another, so they must keep their size
+  if (previous.base) compareTypes(previous.base, next.base, `${name} item`, false, problems);
+}
+
+// Check that every previous variable is still at the same position with a compatible type
+function compareVariables(previous, next, scope, growable, problems) {
+  if (next.length < previous.length || (!growable && scope && next.length !== previous.length)) {
+    problems.push(`${scope || "contract"}: members removed or added, expected ${previous.length} and found ${next.length}`);
+  }
+
+  previous.forEach((variable, index) => {
+    const name = scope ? `${scope}.${variable.label}` : variable.label;
+    const replacement = next[index];
+    if (!replacement) return;
+    if (replacement.label !== variable.label) {
+      problems.push(`${name}: replaced by ${replacement.label}, new variables must be added after existing ones`);
+      return;
+    }
+    if (replacement.slot !== variable.slot || replacement.offset !== variable.offset) {
+      problems.push(
+        `${name}: moved from slot ${variable.slot} offset ${variable.offset} ` +
+        `to slot ${replacement.slot} offset ${replacement.offset}`
+      );
+      return;
+    }
+    compareTypes(variable.type, replacement.type, name, false, problems);
+  });
+}
+
+// List why the `next` layout cannot be used to upgrade a proxy holding the `previous` layout
+function compareStorageLayouts(previous, next) {
+  const problems = [];
+  compareVariables(previous, next, "", true, problems);
+  return problems;
+}
+
+function snapshotPath(fullyQualifiedName) {
+  return path.join(SNAPSHOT_DIR, `${fullyQualifiedName.split(":")[1]}.json`);
+}
+
+// Compare each upgradeable contract with its committed snapshot, or write the snapshots when `update` is set.
+// Delegated contracts are compared with the contract delegating to them.
+async function checkStorageLayouts(hre, { update = false } = {}) {
+  const problems = [];
+  for (const fullyQualifiedName of UPGRADEABLE_CONTRACTS) {
+    const layout = await getStorageLayout(hre, fullyQualifiedName);
+    const file = snapshotPath(fullyQualifiedName);
+
+    if (update || !fs.existsSync(file)) {
+      fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(layout, null, 2) + "\n");
+      continue;
+    }
+
+    const snapshot = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const problem of compareStorageLayouts(snapshot, layout)) {
+      problems.push(`${fullyQualifiedName} ${problem}`);
+    }
+  }
+
+  for (const [delegate, host] of Object.entries(DELEGATED_CONTRACTS)) {
+    const layout = JSON.stringify(await getStorageLayout(hre, delegate));
+    if (layout !== JSON.stringify(await getStorageLayout(hre, host))) {
+      problems.push(`${delegate} does not have the storage layout of ${host}`);
+    }
+  }
+  return problems;
+}
+
+module.exports = { getStorageLayout, compareStorageLayouts, checkStorageLayouts };
@@ -2,38 +2,47 @@ const hre = require("hardhat");
 const { ethers } = require("hardhat");
 require('dotenv').config();
 
-const PIONE_TOKEN = process.env.PIONE_TOKEN || "";
-const USDT_BEP20 = process.env.USDT_BEP20 || "";
-const PIONE_BRIDGE = process.env.PIONE_BRIDGE || "";
-const PANCAKEROUTER = process.env.PANCAKEROUTER || "";
-const PINKLOCK = process.env.PINKLOCK || "";
-const PIONECHAIN_ID = process.env.PIONECHAIN_ID || "";
-
-async function verify(address, contractName, args) {
+async function verify(address, contractName, args, libraries = {}) {
   console.log("verifing...");
   await hre.run("verify:verify", {
     address: address,
     constructorArguments: [...args],
     contract: `contracts/${contractName}.sol:${contractName}`,
+    libraries,
   });
   console.log(`verify ${contractName} success fully!!`);
   console.log("----------------");
 }
 
 async function main() {
-  const PioneLiquidityAddress = "";
+  // The implementation behind the proxy, the proxy itself is verified with the OpenZeppelin sources
+  const PioneLiquidityImplementationAddress = "";
+  const LPLockLibAddress = "";
+  const RequestLibAddress = "";
+  const LiquidityLibAddress = "";
+  const ClaimQueueLibAddress = "";
   console.log("Wait before verifying");
   await verify(
-    PioneLiquidityAddress,
-    "PioneLiquidityManager", 
-    [
-      PIONE_TOKEN,
-      USDT_BEP20,
-      PIONE_BRIDGE,
-      PANCAKEROUTER,
-      PINKLOCK,
-      PIONECHAIN_ID
-    ]
+    PioneLiquidityImplementationAddress,
+    "PioneLiquidityManager",
+    [],
+    {
+      LPLockLib: LPLockLibAddress,
+      RequestLib: RequestLibAddress,
+      LiquidityLib: LiquidityLibAddress,
+      ClaimQueueLib: ClaimQueueLibAddress
+    }
+  );
+  // Created by the implementation's constructor, it is linked to the same libraries
+  const implementation = await ethers.getContractAt("PioneLiquidityManager", PioneLiquidityImplementationAddress);
+  await verify(
+    await implementation.ADMIN_MODULE(),
+    "PioneLiquidityManagerAdmin",
+    [],
+    {
+      LPLockLib: LPLockLibAddress,
+      RequestLib: RequestLibAddress
+    }
   );
   console.log("verify success");
 }
@@ -0,0 +1,283 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { BridgeRelayer } = require("../scripts/relayer/BridgeRelayer");
+const { deployManagerFixture } = require("./shared/fixture");
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+describe("BridgeRelayer", function () {
+
+    async function deployRelayerFixture() {
+        const [owner, user1, user2] = await ethers.getSigners();
+        const { liquidityManager, pioneToken, bridge, factory } = await deployManagerFixture();
+
+        return { liquidityManager, pioneToken, bridge, factory, owner, user1, user2 };
+    }
+
+    function newRelayer({ liquidityManager, bridge, owner }, checkpointFile) {
+        return new BridgeRelayer({
+            bridge,
+            liquidityManager,
+            signer: owner,
+            lockMonths: 6,
+            checkpointFile,
+            retryDelayMs: 1,
+            logger: silentLogger,
+        });
+    }
+
+    async function bridgeIn(bridge, requestId, from, to, amount, nonce = 0) {
+        await bridge.bridgeIn({ from, to, amount, sourceChain: 5080, targetChain: 97, nonce }, requestId);
+    }
+
+    let checkpointFile;
+
+    beforeEach(function () {
+        checkpointFile = path.join(os.tmpdir(), `relayer-${Date.now()}-${Math.random()}.json`);
+    });
+
+    afterEach(function () {
+        fs.rmSync(checkpointFile, { force: true });
+    });
+
+    it("Should create liquidity requests for bridge-in events addressed to the manager", async function () {
+        const fixture = await loadFixture(deployRelayerFixture);
+        const { liquidityManager, bridge, user1, user2 } = fixture;
+        const requestId1 = ethers.id("relayer-1");
+        const requestId2 = ethers.id("relayer-2");
+
+        await bridgeIn(bridge, requestId1, user1.address, liquidityManager.target, ethers.parseEther("100"));
+        await bridgeIn(bridge, requestId2, user2.address, liquidityManager.target, ethers.parseEther("200"), 1);
+
+        const relayer = newRelayer(fixture, checkpointFile);
+        await relayer.init();
+        expect(await relayer.poll()).to.equal(2);
+
+        expect(await liquidityManager.getRequestIdOwner(requestId1)).to.equal(user1.address);
+        expect(await liquidityManager.getRequestIdOwner(requestId2)).to.equal(user2.address);
+
+        const txInfo = await liquidityManager.getTransactionInfo(requestId2);
+        expect(txInfo.pioAmount).to.equal(ethers.parseEther("200"));
+        expect(txInfo.usdtAmount).to.equal(await liquidityManager.getOptimalAmountUSDT(ethers.parseEther("200")));
+        expect(txInfo.lockMonths).to.equal(6);
+    });
+
+    it("Should create requests on the pair of the configured quote token", async function () {
+        const fixture = await loadFixture(deployRelayerFixture);
+        const { liquidityManager, pioneToken, bridge, factory, user1 } = fixture;
+        const usdcToken = await (await ethers.getContractFactory("MockERC20")).deploy("USD Coin", "USDC", 0);
+        const usdcPair = await (await ethers.getContractFactory("MockPancakePair")).deploy("PancakePair PIO-USDC", "PIO-USDC-LP", 0);
+        await usdcPair.setTokens(pioneToken.target, usdcToken.target);
+        await usdcPair.setReserves(ethers.parseEther("4000"), ethers.parseEther("1000"));
+        await factory.setPairFor(pioneToken.target, usdcToken.target, usdcPair.target);
+
+        const relayer = newRelayer(fixture, checkpointFile);
+        relayer.quoteToken = usdcToken.target;
+        await expect(relayer.init()).to.be.rejectedWith("is not registered on the manager");
+        await liquidityManager.addQuoteToken(usdcToken.target);
+        await relayer.init();
+
+        for (const [i, batchSize] of [1, 20].entries()) {
+            const requestId = ethers.id(`relayer-usdc-${i}`);
+            await bridgeIn(bridge, requestId, user1.address, liquidityManager.target, ethers.parseEther("100"), i);
+            relayer.batchSize = batchSize;
+            expect(await relayer.poll()).to.equal(1);
+
+            expect(await liquidityManager.getRequestQuoteToken(requestId)).to.equal(usdcToken.target);
+            expect((await liquidityManager.getTransactionInfo(requestId)).usdtAmount).to.equal(ethers.parseEther("25"));
+        }
+    });
+
+    it("Should ignore bridge-in events sent to other recipients", async function () {
+        const fixture = await loadFixture(deployRelayerFixture);
+        const { liquidityManager, bridge, user1 } = fixture;
+        const requestId = ethers.id("relayer-other");
+
+        await bridgeIn(bridge, requestId, user1.address, user1.address, ethers.parseEther("100"));
+
+        const relayer = newRelayer(fixture, checkpointFile);
+        await relayer.init();
+        expect(await relayer.poll()).to.equal(0);
+        expect(await liquidityManager.getRequestIdOwner(requestId)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should ignore PIO transfers to the manager that are not bridge-ins", async function () {
+        const fixture = await loadFixture(deployRelayerFixture);
+        const { liquidityManager, pioneToken, bridge, user1 } = fixture;
+
+        await pioneToken.transfer(liquidityManager.target, ethers.parseEther("100"));
+        // Processed on the bridge, but its PIO did not come through bridgeIn
+        await bridge.setProcessedTransaction(ethers.id("relayer-transfer"), true);
+
+        const relayer = newRelayer(fixture, checkpointFile);
+        await relayer.init();
+        expect(await relayer.poll()).to.equal(0);
+        expect(await liquidityManager.getRequestIdOwner(ethers.id("relayer-transfer"))).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should skip requestIds the manager already knows", async function () {
+        const fixture = await loadFixture(deployRelayerFixture);
+        const { liquidityManager, bridge, user1 } = fixture;
+        const requestId = ethers.id("relayer-known");
+        const amount = ethers.parseEther("100");
+
+        await bridgeIn(bridge, requestId, user1.address, liquidityManager.target, amount);
+        await liquidityManager.handleBridgeCompleted(requestId, user1.address, amount, ethers.parseEther("50"), 3);
+
+        const relayer = newRelayer(fixture, checkpointFile);
+        await relayer.init();
+        expect(await relayer.poll()).to.equal(0);
+        expect((await liquidityManager.getTransactionInfo(requestId)).lockMonths).to.equal(3);
+    });
+
+    it("Should skip requests the manager refuses for good and move on", async function () {
+        const fixture = await loadFixture(deployRelayerFixture);
+        const { liquidityManager, bridge, user1 } = fixture;
+        const warnings = [];
+
+        await bridgeIn(bridge, ethers.id("relayer-refused"), user1.address, liquidityManager.target, ethers.parseEther("10"));
+
+        const relayer = newRelayer(fixture, checkpointFile);
+        relayer.batchSize = 1;
+        relayer.logger = { ...silentLogger, warn: (message) => warnings.push(message) };
+        await relayer.init();
+        // The limits change after the relayer started, so its 6-month lock is now too short
+        await liquidityManager.setLockDurationLimits(12 * 30 * 24 * 60 * 60, 24 * 30 * 24 * 60 * 60);
+        relayer.nonce++;
+
+        expect(await relayer.poll()).to.equal(0);
+        expect(warnings.some((message) => message.includes("Lock duration out of range"))).to.be.true;
+        expect(relayer.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+        expect(await liquidityManager.getRequestIdOwner(ethers.id("relayer-refused"))).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should refuse to start with a lock outside the manager's limits", async function () {
+        const fixture = await loadFixture(deployRelayerFixture);
+        await fixture.liquidityManager.setLockDurationLimits(12 * 30 * 24 * 60 * 60, 24 * 30 * 24 * 60 * 60);
+
+        await expect(newRelayer(fixture, checkpointFile).init())
+            .to.be.rejectedWith("outside the manager's lock duration limits");
+    });
+
+    it("Should resume from the persisted checkpoint after a restart", async function () {
+        const fixture = await loadFixture(deployRelayerFixture);
+        const { liquidityManager, bridge, user1 } = fixture;
+
+        await bridgeIn(bridge, ethers.id("relayer-a"), user1.address, liquidityManager.target, ethers.parseEther("10"));
+
+        const first = newRelayer(fixture, checkpointFile);
+        await first.init();
+        expect(await first.poll()).to.equal(1);
+
+        const head = await ethers.provider.getBlockNumber();
+        expect(JSON.parse(fs.readFileSync(checkpointFile, "utf8")).lastBlock).to.be.at.least(head - 1);
+
+        await bridgeIn(bridge, ethers.id("relayer-b"), user1.address, liquidityManager.target, ethers.parseEther("20"), 1);
+
+        const restarted = newRelayer(fixture, checkpointFile);
+        await restarted.init();
+        expect(restarted.lastBlock).to.equal(first.lastBlock);
+        expect(await restarted.poll()).to.equal(1);
+        expect(await liquidityManager.getRequestIdOwner(ethers.id("relayer-b"))).to.equal(user1.address);
+    });
+
+    it("Should keep the checkpoint and retry when submission keeps failing", async function () {
+        const fixture = await loadFixture(deployRelayerFixture);
+        const { liquidityManager, bridge, user1 } = fixture;
+        const requestId = ethers.id("relayer-paused");
+
+        await bridgeIn(bridge, requestId, user1.address, liquidityManager.target, ethers.parseEther("10"));
+        await liquidityManager.pause();
+
+        const relayer = newRelayer(fixture, checkpointFile);
+        relayer.maxRetries = 2;
+        await relayer.init();
+        const lastBlock = relayer.lastBlock;
+        await expect(relayer.poll()).to.be.rejected;
+        expect(relayer.lastBlock).to.equal(lastBlock);
+
+        await liquidityManager.unpause();
+        expect(await relayer.poll()).to.equal(1);
+        expect(await liquidityManager.getRequestIdOwner(requestId)).to.equal(user1.address);
+    });
+
+    it("Should resync the nonce when another transaction used it", async function () {
+        const fixture = await loadFixture(deployRelayerFixture);
+        const { liquidityManager, bridge, owner, user1 } = fixture;
+        const requestId = ethers.id("relayer-nonce");
+
+        const relayer = newRelayer(fixture, checkpointFile);
+        await relayer.init();
+
+        // Consume the cached nonce outside of the relayer
+        await bridgeIn(bridge, requestId, user1.address, liquidityManager.target, ethers.parseEther("10"));
+        expect(relayer.nonce).to.be.lessThan(await ethers.provider.getTransactionCount(owner.address));
+
+        expect(await relayer.poll()).to.equal(1);
+        expect(await liquidityManager.getRequestIdOwner(requestId)).to.equal(user1.address);
+    });
+
+    it("Should submit requests in batches and report skipped entries", async function () {
+        const fixture = await loadFixture(deployRelayerFixture);
+        const { liquidityManager, bridge, user1 } = fixture;
+        const warnings = [];
+
+        for (let i = 0; i < 5; i++) {
+            await bridgeIn(bridge, ethers.id(`relayer-batch-${i}`), user1.address, liquidityManager.target, ethers.parseEther("10"), i);
+        }
+
+        const relayer = newRelayer(fixture, checkpointFile);
+        relayer.batchSize = 2;
+        relayer.logger = { ...silentLogger, warn: (message) => warnings.push(message) };
+        await relayer.init();
+
+        // Handled by someone else after the relayer looked it up, so the batch must skip it
+        const prepare = relayer._prepare.bind(relayer);
+        relayer._prepare = async (bridgeIn) => {
+            const args = await prepare(bridgeIn);
+            if (bridgeIn.requestId === ethers.id("relayer-batch-3")) {
+                await liquidityManager.handleBridgeCompletedForPair(...args);
+                relayer.nonce++;
+            }
+            return args;
+        };
+
+        expect(await relayer.poll()).to.equal(4);
+        expect(warnings.some((message) => message.includes("RequestId already set"))).to.be.true;
+        for (let i = 0; i < 5; i++) {
+            expect(await liquidityManager.getRequestIdOwner(ethers.id(`relayer-batch-${i}`))).to.equal(user1.address);
+        }
+    });
+
+    it("Should submit requests one by one when batching is disabled", async function () {
+        const fixture = await loadFixture(deployRelayerFixture);
+        const { liquidityManager, bridge, user1 } = fixture;
+
+        await bridgeIn(bridge, ethers.id("relayer-single-1"), user1.address, liquidityManager.target, ethers.parseEther("10"));
+        await bridgeIn(bridge, ethers.id("relayer-single-2"), user1.address, liquidityManager.target, ethers.parseEther("10"), 1);
+
+        const relayer = newRelayer(fixture, checkpointFile);
+        relayer.batchSize = 1;
+        await relayer.init();
+        expect(await relayer.poll()).to.equal(2);
+        expect(await liquidityManager.getUserTransactionCount(user1.address)).to.equal(2);
+    });
+
+    it("Should refuse a checkpoint written for another deployment", async function () {
+        const fixture = await loadFixture(deployRelayerFixture);
+
+        fs.writeFileSync(checkpointFile, JSON.stringify({
+            chainId: "1",
+            bridge: ethers.ZeroAddress,
+            liquidityManager: ethers.ZeroAddress,
+            lastBlock: 10
+        }));
+
+        await expect(newRelayer(fixture, checkpointFile).init())
+            .to.be.rejectedWith("belongs to another deployment");
+    });
+});
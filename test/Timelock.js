@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployManagerFixture } = require("./shared/fixture");
+
+const DELAY = 2 * 24 * 60 * 60;
+
+describe("PioneLiquidityManager timelock", function () {
+
+    async function deployTimelockFixture() {
+        const [owner, proposer, user1] = await ethers.getSigners();
+        const { liquidityManager, bridge } = await deployManagerFixture();
+
+        // Same wiring as the PioneLiquidityManagerTimelock Ignition module
+        const timelock = await (await ethers.getContractFactory("TimelockController")).deploy(
+            DELAY,
+            [proposer.address],
+            [proposer.address],
+            ethers.ZeroAddress
+        );
+        const TIMELOCK_ROLE = await liquidityManager.TIMELOCK_ROLE();
+        await liquidityManager.grantRole(TIMELOCK_ROLE, timelock.target);
+        await liquidityManager.renounceRole(TIMELOCK_ROLE, owner.address);
+
+        return { liquidityManager, timelock, TIMELOCK_ROLE, bridge, owner, proposer, user1 };
+    }
+
+    // Schedule a call of the manager through the timelock and return the arguments execute needs
+    async function schedule({ liquidityManager, timelock, proposer }, functionName, args, salt = ethers.ZeroHash) {
+        const data = liquidityManager.interface.encodeFunctionData(functionName, args);
+        const call = [liquidityManager.target, 0, data, ethers.ZeroHash, salt];
+        await timelock.connect(proposer).schedule(...call, DELAY);
+        return call;
+    }
+
+    it("Should hand the timelock role over to the TimelockController", async function () {
+        const { liquidityManager, timelock, TIMELOCK_ROLE, owner } = await loadFixture(deployTimelockFixture);
+
+        expect(await liquidityManager.getRoleAdmin(TIMELOCK_ROLE)).to.equal(TIMELOCK_ROLE);
+        expect(await liquidityManager.hasRole(TIMELOCK_ROLE, timelock.target)).to.be.true;
+        expect(await liquidityManager.hasRole(TIMELOCK_ROLE, owner.address)).to.be.false;
+    });
+
+    it("Should stop the owner from calling the timelocked setters directly", async function () {
+        const { liquidityManager, owner, user1 } = await loadFixture(deployTimelockFixture);
+
+        await expect(liquidityManager.connect(owner).setPioneBridge(user1.address)).to.be.revertedWith("Not timelock");
+        await expect(liquidityManager.connect(owner).setMinClaimPIOAmount(1)).to.be.revertedWith("Not timelock");
+        await expect(liquidityManager.connect(owner).setPermit2(user1.address)).to.be.revertedWith("Not timelock");
+        await expect(liquidityManager.connect(owner).setLockDurationLimits(1, 2)).to.be.revertedWith("Not timelock");
+        await expect(liquidityManager.connect(owner).setRouter(user1.address)).to.be.revertedWith("Not timelock");
+        await expect(liquidityManager.connect(owner).setLpLocker(user1.address)).to.be.revertedWith("Not timelock");
+        await expect(liquidityManager.connect(owner).setProtocolFee(100, user1.address)).to.be.revertedWith("Not timelock");
+        await expect(liquidityManager.connect(owner).setMaxSlippageBps(100)).to.be.revertedWith("Not timelock");
+        await expect(
+            liquidityManager.connect(owner).setPriceGuard([ethers.ZeroAddress, 0, 0, 0])
+        ).to.be.revertedWith("Not timelock");
+    });
+
+    it("Should not let the owner take the timelock role back", async function () {
+        const { liquidityManager, TIMELOCK_ROLE, owner } = await loadFixture(deployTimelockFixture);
+
+        await expect(
+            liquidityManager.connect(owner).grantRole(TIMELOCK_ROLE, owner.address)
+        ).to.be.revertedWithCustomError(liquidityManager, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should apply a scheduled change only after the delay", async function () {
+        const fixture = await loadFixture(deployTimelockFixture);
+        const { liquidityManager, timelock, bridge, proposer, user1 } = fixture;
+
+        const call = await schedule(fixture, "setPioneBridge", [user1.address]);
+        await expect(timelock.connect(proposer).execute(...call))
+            .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+
+        await time.increase(DELAY);
+        await expect(timelock.connect(proposer).execute(...call))
+            .to.emit(liquidityManager, "PioneBridgeUpdated")
+            .withArgs(bridge.target, user1.address)
+            .and.to.emit(timelock, "CallExecuted");
+        expect(await liquidityManager.pioneBridge()).to.equal(user1.address);
+    });
+
+    it("Should drop a cancelled change", async function () {
+        const fixture = await loadFixture(deployTimelockFixture);
+        const { liquidityManager, timelock, proposer } = fixture;
+
+        const call = await schedule(fixture, "setMinClaimPIOAmount", [ethers.parseEther("5")]);
+        const id = await timelock.hashOperation(...call);
+        await expect(timelock.connect(proposer).cancel(id)).to.emit(timelock, "Cancelled").withArgs(id);
+
+        await time.increase(DELAY);
+        await expect(timelock.connect(proposer).execute(...call))
+            .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+        expect(await liquidityManager.getMinClaimPIOAmount()).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should only change the delay through the timelock itself", async function () {
+        const { timelock, proposer } = await loadFixture(deployTimelockFixture);
+
+        await expect(timelock.connect(proposer).updateDelay(0))
+            .to.be.revertedWithCustomError(timelock, "TimelockUnauthorizedCaller");
+
+        const data = timelock.interface.encodeFunctionData("updateDelay", [DELAY * 2]);
+        const call = [timelock.target, 0, data, ethers.ZeroHash, ethers.ZeroHash];
+        await timelock.connect(proposer).schedule(...call, DELAY);
+        await time.increase(DELAY);
+        await expect(timelock.connect(proposer).execute(...call))
+            .to.emit(timelock, "MinDelayChange")
+            .withArgs(DELAY, DELAY * 2);
+    });
+
+    it("Should keep pausing immediate for the owner", async function () {
+        const { liquidityManager, owner } = await loadFixture(deployTimelockFixture);
+
+        await liquidityManager.connect(owner).pause();
+        expect(await liquidityManager.paused()).to.be.true;
+    });
+});
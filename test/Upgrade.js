@@ -0,0 +1,266 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { getStorageLayout, compareStorageLayouts } = require("../scripts/storageLayout");
+const { PIONECHAIN_ID, deployManagerFixture } = require("./shared/fixture");
+
+const MANAGER = "contracts/PioneLiquidityManager.sol:PioneLiquidityManager";
+const ADMIN_MODULE = "contracts/PioneLiquidityManagerAdmin.sol:PioneLiquidityManagerAdmin";
+// ERC-1967 slots of the proxy
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+
+describe("PioneLiquidityManager upgrades", function () {
+
+    async function deployProxyFixture() {
+        const [owner, user1, user2] = await ethers.getSigners();
+        const { liquidityManager, pioneToken, usdtToken, lpToken, router, bridge, pinkLock, libraries } =
+            await deployManagerFixture();
+        await lpToken.transfer(router.target, ethers.parseEther("100000"));
+
+        const PioneLiquidityManager = await ethers.getContractFactory("PioneLiquidityManager", { libraries });
+        const implementation = PioneLiquidityManager.attach(await readAddress(liquidityManager.target, IMPLEMENTATION_SLOT));
+        const proxyAdmin = await ethers.getContractAt("ProxyAdmin", await readAddress(liquidityManager.target, ADMIN_SLOT));
+
+        await usdtToken.transfer(user1.address, ethers.parseEther("10000"));
+        await usdtToken.connect(user1).approve(liquidityManager.target, ethers.MaxUint256);
+
+        return {
+            liquidityManager,
+            implementation,
+            proxyAdmin,
+            PioneLiquidityManager,
+            pioneToken,
+            usdtToken,
+            bridge,
+            router,
+            pinkLock,
+            owner,
+            user1,
+            user2
+        };
+    }
+
+    async function readAddress(target, slot) {
+        return ethers.getAddress(ethers.dataSlice(await ethers.provider.getStorage(target, slot), 12));
+    }
+
+    async function createRequest({ liquidityManager, bridge }, user, name) {
+        const requestId = ethers.id(name);
+        const amount = ethers.parseEther("100");
+        await bridge.bridgeIn(
+            { from: user.address, to: liquidityManager.target, amount, sourceChain: PIONECHAIN_ID, targetChain: 97, nonce: 0 },
+            requestId
+        );
+        await liquidityManager.handleBridgeCompleted(requestId, user.address, amount, ethers.parseEther("50"), 6);
+        return requestId;
+    }
+
+    // Zero value of an ABI parameter, to call any function without caring about its arguments
+    function zeroValue(param) {
+        if (param.baseType === "array") return [];
+        if (param.baseType === "tuple") return param.components.map(zeroValue);
+        if (param.baseType === "address") return ethers.ZeroAddress;
+        if (param.baseType === "bool") return false;
+        if (param.baseType.startsWith("bytes")) return param.baseType === "bytes" ? "0x" : ethers.ZeroHash;
+        return 0;
+    }
+
+    describe("Initialization", function () {
+        it("Should initialize the proxy with the deployment settings", async function () {
+            const { liquidityManager, pioneToken, usdtToken, bridge, router, pinkLock, owner } =
+                await loadFixture(deployProxyFixture);
+
+            expect(await liquidityManager.PIONE_TOKEN()).to.equal(pioneToken.target);
+            expect(await liquidityManager.USDT_TOKEN()).to.equal(usdtToken.target);
+            expect(await liquidityManager.pioneBridge()).to.equal(bridge.target);
+            expect(await liquidityManager.router()).to.equal(router.target);
+            expect(await liquidityManager.POOL_LOCK()).to.equal(pinkLock.target);
+            expect(await liquidityManager.PIONECHAIN_ID()).to.equal(PIONECHAIN_ID);
+            expect(await liquidityManager.getMinClaimPIOAmount()).to.equal(ethers.parseEther("1"));
+            expect(await liquidityManager.hasRole(await liquidityManager.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+            expect(await liquidityManager.hasRole(await liquidityManager.TIMELOCK_ROLE(), owner.address)).to.be.true;
+            expect(await pioneToken.allowance(liquidityManager.target, router.target)).to.equal(ethers.MaxUint256);
+        });
+
+        it("Should not initialize the proxy twice", async function () {
+            const { liquidityManager, pioneToken, usdtToken, bridge, router, pinkLock, user1 } =
+                await loadFixture(deployProxyFixture);
+
+            await expect(
+                liquidityManager.connect(user1).initialize(
+                    pioneToken.target, usdtToken.target, bridge.target, router.target, pinkLock.target, PIONECHAIN_ID
+                )
+            ).to.be.revertedWithCustomError(liquidityManager, "InvalidInitialization");
+        });
+
+        it("Should not let anyone initialize the implementation", async function () {
+            const { implementation, pioneToken, usdtToken, bridge, router, pinkLock, user1 } =
+                await loadFixture(deployProxyFixture);
+
+            await expect(
+                implementation.connect(user1).initialize(
+                    pioneToken.target, usdtToken.target, bridge.target, router.target, pinkLock.target, PIONECHAIN_ID
+                )
+            ).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+        });
+    });
+
+    describe("Upgrade", function () {
+        it("Should keep user data and request ids across an upgrade", async function () {
+            const fixture = await loadFixture(deployProxyFixture);
+            const { liquidityManager, proxyAdmin, PioneLiquidityManager, user1, user2 } = fixture;
+
+            const funded = await createRequest(fixture, user1, "upgrade-funded");
+            await liquidityManager.connect(user1).depositUSDT(funded);
+            const executed = await createRequest(fixture, user1, "upgrade-executed");
+            await liquidityManager.connect(user1).depositUSDT(executed);
+            await liquidityManager.connect(user1).addLiquidity(executed, 10);
+            const pending = await createRequest(fixture, user2, "upgrade-pending");
+
+            const balancesBefore = await liquidityManager.getUserBalances(user1.address);
+            const executedBefore = await liquidityManager.getTransactionInfo(executed);
+            const liabilitiesBefore = await liquidityManager.totalPioLiabilities();
+
+            const nextImplementation = await PioneLiquidityManager.deploy();
+            await proxyAdmin.upgradeAndCall(liquidityManager.target, nextImplementation.target, "0x");
+            expect(await readAddress(liquidityManager.target, IMPLEMENTATION_SLOT)).to.equal(nextImplementation.target);
+
+            // _usedRequestIds
+            expect(await liquidityManager.getRequestIdOwner(funded)).to.equal(user1.address);
+            expect(await liquidityManager.getRequestIdOwner(executed)).to.equal(user1.address);
+            expect(await liquidityManager.getRequestIdOwner(pending)).to.equal(user2.address);
+
+            // _userData
+            expect(await liquidityManager.getUserBalances(user1.address)).to.deep.equal(balancesBefore);
+            expect(await liquidityManager.getTransactionInfo(executed)).to.deep.equal(executedBefore);
+            expect(await liquidityManager.getUserTransactionCount(user1.address)).to.equal(2);
+            expect(await liquidityManager.totalPioLiabilities()).to.equal(liabilitiesBefore);
+
+            // Requests created before the upgrade keep working and cannot be replayed
+            await liquidityManager.connect(user1).addLiquidity(funded, 10);
+            expect(await liquidityManager.getRequestStatus(funded)).to.equal(3);
+            await expect(
+                liquidityManager.handleBridgeCompleted(pending, user2.address, ethers.parseEther("100"), ethers.parseEther("50"), 6)
+            ).to.be.revertedWith("RequestId already set");
+        });
+
+        it("Should run the admin functions in the module of the current implementation", async function () {
+            const fixture = await loadFixture(deployProxyFixture);
+            const { liquidityManager, implementation, proxyAdmin, PioneLiquidityManager, user1 } = fixture;
+
+            const module = await ethers.getContractAt("PioneLiquidityManagerAdmin", await liquidityManager.ADMIN_MODULE());
+            expect(await liquidityManager.ADMIN_MODULE()).to.equal(await implementation.ADMIN_MODULE());
+            // Called directly the module only sees its own storage, where nobody holds a role
+            await expect(module.setMaxSlippageBps(100)).to.be.revertedWith("Not timelock");
+            await expect(
+                module.handleBridgeCompleted(ethers.id("direct"), user1.address, 1, 1, 6)
+            ).to.be.revertedWith("Not manager");
+
+            const nextImplementation = await PioneLiquidityManager.deploy();
+            await proxyAdmin.upgradeAndCall(liquidityManager.target, nextImplementation.target, "0x");
+            expect(await liquidityManager.ADMIN_MODULE()).to.not.equal(module.target);
+
+            await expect(liquidityManager.setMaxSlippageBps(100))
+                .to.emit(liquidityManager, "MaxSlippageUpdated")
+                .withArgs(9000, 100);
+            expect(await liquidityManager.maxSlippageBps()).to.equal(100);
+            await createRequest(fixture, user1, "upgrade-admin");
+            expect(await liquidityManager.getUserTransactionCount(user1.address)).to.equal(1);
+        });
+
+        it("Should reject every state-changing call made to the admin module directly", async function () {
+            const { liquidityManager, owner, user1 } = await loadFixture(deployProxyFixture);
+            const module = await ethers.getContractAt("PioneLiquidityManagerAdmin", await liquidityManager.ADMIN_MODULE());
+
+            // The module is never initialized, so nobody holds a role there and nobody can grant one
+            for (const role of [await module.DEFAULT_ADMIN_ROLE(), await module.MANAGER_ROLE(), await module.TIMELOCK_ROLE()]) {
+                expect(await module.getRoleAdmin(role)).to.equal(ethers.ZeroHash);
+                expect(await module.hasRole(role, owner.address)).to.be.false;
+                expect(await module.hasRole(role, liquidityManager.target)).to.be.false;
+            }
+            // renounceRole only ever removes a role of the caller
+            const functions = module.interface.fragments.filter(
+                (fragment) => fragment.type === "function" && !fragment.constant && fragment.name !== "renounceRole"
+            );
+            expect(functions.length).to.be.greaterThan(10);
+            for (const fragment of functions) {
+                for (const signer of [owner, user1]) {
+                    await expect(
+                        module.connect(signer)[fragment.format()](...fragment.inputs.map(zeroValue)),
+                        fragment.format()
+                    ).to.be.reverted;
+                }
+            }
+        });
+
+        it("Should only let the proxy admin owner upgrade", async function () {
+            const { liquidityManager, proxyAdmin, PioneLiquidityManager, user1 } = await loadFixture(deployProxyFixture);
+            const nextImplementation = await PioneLiquidityManager.deploy();
+
+            await expect(
+                proxyAdmin.connect(user1).upgradeAndCall(liquidityManager.target, nextImplementation.target, "0x")
+            ).to.be.revertedWithCustomError(proxyAdmin, "OwnableUnauthorizedAccount");
+        });
+    });
+
+    describe("Storage layout", function () {
+        let layout;
+
+        before(async function () {
+            layout = await getStorageLayout(hre, MANAGER);
+        });
+
+        it("Should match the committed storage layout", async function () {
+            const snapshot = JSON.parse(
+                fs.readFileSync(path.join(__dirname, "..", "storage-layout", "PioneLiquidityManager.json"), "utf8")
+            );
+            expect(compareStorageLayouts(snapshot, layout)).to.deep.equal([]);
+        });
+
+        it("Should give the admin module the storage layout of the manager", async function () {
+            expect(await getStorageLayout(hre, ADMIN_MODULE)).to.deep.equal(layout);
+        });
+
+        it("Should accept variables appended after the existing ones", async function () {
+            const last = layout[layout.length - 1];
+            const appended = {
+                label: "newSetting",
+                slot: String(Number(last.slot) + 10),
+                offset: 0,
+                type: { label: "uint256", encoding: "inplace", numberOfBytes: "32" }
+            };
+            expect(compareStorageLayouts(layout, [...layout, appended])).to.deep.equal([]);
+        });
+
+        it("Should reject removed, reordered or retyped variables", async function () {
+            expect(compareStorageLayouts(layout, layout.slice(1))).to.not.be.empty;
+            expect(compareStorageLayouts(layout, [layout[1], layout[0], ...layout.slice(2)])).to.not.be.empty;
+
+            const index = layout.findIndex((variable) => variable.label === "_usedRequestIds");
+            const retyped = structuredClone(layout);
+            retyped[index].type.value = { label: "uint256", encoding: "inplace", numberOfBytes: "32" };
+            expect(compareStorageLayouts(layout, retyped)).to.deep.equal([
+                "_usedRequestIds value: type changed from address (20 bytes) to uint256 (32 bytes)"
+            ]);
+        });
+
+        it("Should only let structs stored in mappings grow", async function () {
+            const member = { label: "extra", slot: "99", offset: 0, type: { label: "uint256", encoding: "inplace", numberOfBytes: "32" } };
+
+            // UserInfo is a mapping value, its transactions are array items
+            const userData = layout.findIndex((variable) => variable.label === "_userData");
+            const grownUser = structuredClone(layout);
+            grownUser[userData].type.value.members.push(member);
+            expect(compareStorageLayouts(layout, grownUser)).to.deep.equal([]);
+
+            const grownTransaction = structuredClone(layout);
+            const transactions = grownTransaction[userData].type.value.members.find((m) => m.label === "transactions");
+            transactions.type.base.members.push(member);
+            expect(compareStorageLayouts(layout, grownTransaction)).to.not.be.empty;
+        });
+    });
+});
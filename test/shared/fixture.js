@@ -0,0 +1,67 @@
+const { ethers } = require("hardhat");
+
+const PIONECHAIN_ID = 5080;
+
+// Deploy the mock tokens, the PIO-USDT pair (1 USDT = 2 PIO), router, bridge and PinkLock the manager runs against.
+// The bridge holds PIO to release on bridge-ins, and pulls the PIO claimed back to Pione Chain.
+async function deployMocks() {
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const pioneToken = await MockERC20.deploy("PIONE Token", "PIO", ethers.parseEther("1000000"));
+    const usdtToken = await MockERC20.deploy("Tether USD", "USDT", ethers.parseEther("1000000"));
+
+    const MockPancakePair = await ethers.getContractFactory("MockPancakePair");
+    const lpToken = await MockPancakePair.deploy("PancakePair PIO-USDT", "PIO-USDT-LP", ethers.parseEther("1000000"));
+    await lpToken.setTokens(usdtToken.target, pioneToken.target);
+    await lpToken.setReserves(ethers.parseEther("1000"), ethers.parseEther("2000"));
+
+    const factory = await (await ethers.getContractFactory("MockFactory")).deploy();
+    await factory.setPair(lpToken.target);
+    const router = await (await ethers.getContractFactory("MockPancakeRouter")).deploy();
+    await router.setFactory(factory.target);
+
+    const bridge = await (await ethers.getContractFactory("MockPioneChainBridge")).deploy();
+    await bridge.setToken(pioneToken.target);
+    await pioneToken.transfer(bridge.target, ethers.parseEther("100000"));
+    const pinkLock = await (await ethers.getContractFactory("MockPinkLock")).deploy();
+
+    return { pioneToken, usdtToken, lpToken, factory, router, bridge, pinkLock };
+}
+
+// Deploy the libraries linked into the manager
+async function deployLibraries() {
+    const libraries = {};
+    for (const name of ["LPLockLib", "RequestLib", "LiquidityLib", "ClaimQueueLib"]) {
+        libraries[name] = (await (await ethers.getContractFactory(name)).deploy()).target;
+    }
+    return libraries;
+}
+
+// Deploy the manager implementation and a transparent proxy initialized with `args`, administered by the deployer
+async function deployManager(libraries, args) {
+    const [deployer] = await ethers.getSigners();
+    const PioneLiquidityManager = await ethers.getContractFactory("PioneLiquidityManager", { libraries });
+    const implementation = await PioneLiquidityManager.deploy();
+    const proxy = await (await ethers.getContractFactory("TransparentUpgradeableProxy")).deploy(
+        implementation.target,
+        deployer.address,
+        PioneLiquidityManager.interface.encodeFunctionData("initialize", args)
+    );
+    return PioneLiquidityManager.attach(proxy.target);
+}
+
+// Deploy the mocks and a manager proxy initialized against them
+async function deployManagerFixture() {
+    const mocks = await deployMocks();
+    const libraries = await deployLibraries();
+    const liquidityManager = await deployManager(libraries, [
+        mocks.pioneToken.target,
+        mocks.usdtToken.target,
+        mocks.bridge.target,
+        mocks.router.target,
+        mocks.pinkLock.target,
+        PIONECHAIN_ID
+    ]);
+    return { ...mocks, libraries, liquidityManager };
+}
+
+module.exports = { PIONECHAIN_ID, deployMocks, deployLibraries, deployManager, deployManagerFixture };